@@ -55,7 +55,7 @@ function toggleLanguageDropdown(type = 'navbar', event) {
 
 /**
  * Change language from dropdown selection
- * @param {string} languageCode - Language code (en-SG, es-MX)
+ * @param {string} languageCode - Language code from locales/manifest.json
  */
 function changeLanguageFromDropdown(languageCode) {
     console.log(`Changing language to: ${languageCode}`);
@@ -79,6 +79,35 @@ function changeLanguageFromDropdown(languageCode) {
     }
 }
 
+/**
+ * Get the locale manifest, reusing the app's copy when it has loaded one
+ */
+async function getLocaleManifest() {
+    if (window.foxTradingApp && window.foxTradingApp.manifest) {
+        return window.foxTradingApp.manifest;
+    }
+    return LocaleManifest.load('/locales/manifest.json');
+}
+
+/**
+ * Fill empty dropdowns with one option per manifest locale
+ * @param {LocaleManifest} manifest
+ */
+function renderLanguageOptions(manifest) {
+    document.querySelectorAll('.language-dropdown').forEach(dropdown => {
+        if (dropdown.querySelector('.language-option')) return;
+
+        manifest.getCodes().forEach(code => {
+            const option = document.createElement('div');
+            option.className = 'language-option';
+            option.dataset.lang = code;
+            option.lang = code;
+            option.textContent = `${manifest.getFlag(code)} ${manifest.getNativeName(code)}`;
+            dropdown.appendChild(option);
+        });
+    });
+}
+
 /**
  * Close dropdown when clicking outside
  */
@@ -121,7 +150,7 @@ function initLanguageDropdown() {
     document.addEventListener('keydown', handleKeyDown);
     
     // Wait a bit for DOM to be fully ready, then add event listeners
-    setTimeout(() => {
+    setTimeout(async () => {
         const languageButtons = document.querySelectorAll('.language-icon-btn');
         console.log('🎯 Found language buttons:', languageButtons.length);
         
@@ -152,6 +181,13 @@ function initLanguageDropdown() {
             });
         });
         
+        // Build the options from the locale manifest
+        try {
+            renderLanguageOptions(await getLocaleManifest());
+        } catch (error) {
+            console.warn('Locale manifest unavailable, keeping existing language options:', error);
+        }
+
         // Also set up language option click handlers
         const languageOptions = document.querySelectorAll('.language-option');
         console.log('🎯 Found language options:', languageOptions.length);
@@ -162,7 +198,11 @@ function initLanguageDropdown() {
             
             option.addEventListener('click', function(event) {
                 console.log('🎯 Language option clicked!', option);
-                const langCode = option.textContent.includes('English') ? 'en-SG' : 'es-MX';
+                const langCode = option.dataset.lang;
+                if (!langCode) {
+                    console.warn('Language option has no data-lang attribute:', option);
+                    return;
+                }
                 changeLanguageFromDropdown(langCode);
             });
         });
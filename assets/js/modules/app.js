@@ -7,30 +7,166 @@ class FoxTradingApp {
         this.i18n = null;
         this.detector = null;
         this.lazyLoader = null;
+        this.editor = null;
         this.isInitialized = false;
         this.debug = window.location.hostname === 'localhost' || window.location.search.includes('debug=true') || true; // Force debug for now
         
         // Configuration
         this.config = {
-            supportedLanguages: ['en-SG', 'es-MX'],
+            // Languages, default/fallback and namespaces are filled in from the locale manifest
+            supportedLanguages: ['en-SG'],
             defaultLanguage: 'en-SG',
             fallbackLanguage: 'en-SG',
+            manifestUrl: '/locales/manifest.json',
+            // Element-to-key map applied before translating
+            bindingsUrl: '/locales/bindings.json',
+            // <script type="application/json"> with the manifest and first-paint strings
+            criticalDataId: 'i18n-critical',
+            // ?lang=qps-ploc shows generated pseudo-translations of the fallback language
+            pseudoLocale: 'qps-ploc',
+            // LanguageDetector strategies: run order, names to skip, priority overrides
+            detectionStrategyOrder: [],
+            disabledDetectionStrategies: [],
+            detectionPriorities: {},
+            // 'weighted' adds up agreeing signals instead of taking the top-priority one
+            detectionScoring: 'priority',
+            detectionWeights: {},
+            // Simplified country outlines for detectLanguage({ checkGeolocation: true })
+            countryDataUrl: '/assets/data/countries.geo.json',
+            // Bump when the consent categories or banner wording change, to ask again
+            consentVersion: 2,
+            // Alt+click editor overlay; only on explicit debug, as this.debug is forced on
+            enableTranslationEditor: window.location.hostname === 'localhost' || window.location.search.includes('debug=true'),
+            translationEditorSrc: '/assets/js/modules/translation-editor.js',
             basePath: '/locales/',
+            // Bundles under locales/<lang>/; core holds meta, nav, hero, founder, footer and form
+            namespaces: ['core'],
+            // Bump to invalidate translations persisted in visitors' browsers
+            cacheVersion: '1',
             autoInit: true,
             enableLazyLoading: true
         };
         
-        // Flag emoji mapping
-        this.flags = {
-            'en-SG': '🇬🇧',
-            'es-MX': '🇲🇽'
-        };
-        
-        // Language names
-        this.languageNames = {
-            'en-SG': 'English',
-            'es-MX': 'Español'
-        };
+        // Locale manifest (names, flags, direction, fallbacks, timezones)
+        this.manifest = null;
+        this.bindings = null;
+        this.detection = null;
+        // Visitor's privacy choices (ConsentManager), created with the detector
+        this.consent = null;
+    }
+
+    /**
+     * Load the locale manifest and take the language settings from it
+     */
+    async loadManifest() {
+        try {
+            this.manifest = await LocaleManifest.load(this.config.manifestUrl);
+        } catch (error) {
+            // Without the manifest only the default language can be offered
+            console.error('Failed to load locale manifest:', error);
+            this.manifest = new LocaleManifest({
+                locales: [{ code: this.config.defaultLanguage }]
+            });
+        }
+
+        this.applyManifest(this.manifest);
+        return this.manifest;
+    }
+
+    /**
+     * Copy the manifest's language settings into the app config
+     * @param {LocaleManifest} manifest
+     */
+    applyManifest(manifest) {
+        this.manifest = manifest;
+        this.config.supportedLanguages = manifest.getCodes();
+        this.config.defaultLanguage = manifest.defaultLanguage;
+        this.config.fallbackLanguage = manifest.fallbackLanguage;
+        this.config.namespaces = manifest.namespaces || this.config.namespaces;
+    }
+
+    /**
+     * Create the consent manager that gates storage, location and analytics
+     * (null where the module is not loaded, e.g. when pre-rendering)
+     */
+    createConsent() {
+        if (typeof ConsentManager === 'undefined') return null;
+
+        this.consent = new ConsentManager({ version: this.config.consentVersion });
+        return this.consent;
+    }
+
+    /**
+     * Create the language detector from the current config
+     */
+    createDetector() {
+        this.detector = new LanguageDetector({
+            manifest: this.manifest,
+            supportedLanguages: this.config.supportedLanguages,
+            defaultLanguage: this.config.defaultLanguage,
+            fallbackLanguage: this.config.fallbackLanguage,
+            pseudoLocale: this.config.pseudoLocale,
+            strategyOrder: this.config.detectionStrategyOrder,
+            disabledStrategies: this.config.disabledDetectionStrategies,
+            detectionPriorities: this.config.detectionPriorities,
+            scoring: this.config.detectionScoring,
+            scoringWeights: this.config.detectionWeights,
+            countryDataUrl: this.config.countryDataUrl,
+            geolocationPrompt: () => this.explainGeolocation(),
+            consent: this.consent || this.createConsent()
+        });
+        return this.detector;
+    }
+
+    /**
+     * Create the i18n engine for the detected language
+     * @param {string} language - Initial language
+     */
+    createI18n(language) {
+        this.i18n = new I18n({
+            manifest: this.manifest,
+            supportedLanguages: this.config.supportedLanguages,
+            defaultLanguage: language,
+            fallbackLanguage: this.config.fallbackLanguage,
+            basePath: this.config.basePath,
+            namespaces: this.config.namespaces,
+            persistCache: true,
+            cacheVersion: this.config.cacheVersion,
+            pseudoLocale: this.config.pseudoLocale,
+            observe: true
+        });
+        return this.i18n;
+    }
+
+    /**
+     * Translate the critical strings inlined in the page (see
+     * scripts/inline-i18n.js) synchronously. The #i18n-critical-apply head
+     * script has already painted the plain strings; this covers the rest
+     * with the real detector and I18n. init() then loads the full bundles
+     * @returns {boolean} Whether critical strings were applied
+     */
+    renderCritical() {
+        const critical = I18n.readInlineJson(this.config.criticalDataId);
+        if (!critical || !critical.manifest || !critical.bundles) {
+            return false;
+        }
+
+        try {
+            this.applyManifest(new LocaleManifest(critical.manifest));
+            this.createDetector();
+            this.detection = this.detector.detectLanguageSync();
+            this.createI18n(this.detection.language);
+
+            return this.i18n.applyCriticalBundle(critical.bundles);
+        } catch (error) {
+            // init() starts over from the fetched manifest
+            console.error('Failed to apply critical translations:', error);
+            this.manifest = null;
+            this.detector = null;
+            this.detection = null;
+            this.i18n = null;
+            return false;
+        }
     }
 
     /**
@@ -45,15 +181,17 @@ class FoxTradingApp {
 
             this.log('Initializing FoxTrading App...');
 
+            // renderCritical() may already have set up the manifest, detector and i18n
+            await Promise.all([this.manifest || this.loadManifest(), this.loadBindings()]);
+
             // Initialize language detector
-            this.detector = new LanguageDetector({
-                supportedLanguages: this.config.supportedLanguages,
-                defaultLanguage: this.config.defaultLanguage,
-                fallbackLanguage: this.config.fallbackLanguage
-            });
+            if (!this.detector) {
+                this.createDetector();
+            }
 
             // Detect initial language
-            const detection = await this.detector.detectLanguage();
+            const detection = this.detection || await this.detector.detectLanguage();
+            this.detection = detection;
             this.log('Language detection result:', detection);
             console.log('🔍 FULL URL ANALYSIS:', {
                 pathname: window.location.pathname,
@@ -63,16 +201,16 @@ class FoxTradingApp {
             });
 
             // Initialize i18n system
-            this.i18n = new I18n({
-                supportedLanguages: this.config.supportedLanguages,
-                defaultLanguage: detection.language,
-                fallbackLanguage: this.config.fallbackLanguage,
-                basePath: this.config.basePath
-            });
+            if (!this.i18n) {
+                this.createI18n(detection.language);
+            }
 
             // Set up event listeners
             this.setupEventListeners();
 
+            // Bind elements to keys before the first page update
+            this.applyBindings();
+
             // Initialize i18n
             await this.i18n.init();
 
@@ -82,31 +220,30 @@ class FoxTradingApp {
                 await this.i18n.setLanguage(detection.language);
             }
 
-            // Add translation attributes to HTML
-            this.addTranslationAttributes();
-
             // Create and setup language selector
             this.createLanguageSelector();
 
-            // Force initial translation update for debug
-            if (this.debug) {
-                setTimeout(() => {
-                    this.log('Debug: Forcing initial translation update');
-                    this.i18n.updatePage();
-                }, 1000);
-            }
-
             // Setup form handlers
             this.setupFormHandlers();
 
             // Initialize lazy loading for performance
             if (this.config.enableLazyLoading) {
                 this.initializeLazyLoading();
+            } else {
+                this.loadAllNamespaces();
             }
 
             // Preload other language for better UX
             this.preloadLanguages();
 
+            // In-context translation editor for reviewers
+            if (this.config.enableTranslationEditor) {
+                this.initializeTranslationEditor();
+            }
+
+            // Ask for consent once the banner can be shown in the page language
+            this.setupConsent();
+
             // Mark as initialized
             this.isInitialized = true;
 
@@ -193,13 +330,14 @@ class FoxTradingApp {
         const select = document.createElement('select');
         select.id = type === 'mobile' ? 'language-dropdown-mobile' : 'language-dropdown-desktop';
         select.className = 'language-selector-dropdown';
-        select.setAttribute('aria-label', 'Select Language');
+        select.setAttribute('aria-label', this.i18n ? this.i18n.t('nav.selectLanguage') : 'Select Language');
+        select.setAttribute('data-i18n-attr', 'aria-label:nav.selectLanguage');
 
         // Add options
         this.config.supportedLanguages.forEach(lang => {
             const option = document.createElement('option');
             option.value = lang;
-            option.textContent = `${this.flags[lang]} ${this.languageNames[lang]}`;
+            option.textContent = `${this.manifest.getFlag(lang)} ${this.manifest.getNativeName(lang)}`;
             select.appendChild(option);
         });
 
@@ -303,8 +441,40 @@ class FoxTradingApp {
         });
 
         // Add language indicator to body for CSS targeting
-        document.body.className = document.body.className.replace(/\blang-\w+/g, '');
+        document.body.className = document.body.className.replace(/\blang-[\w-]+/g, '');
         document.body.classList.add(`lang-${currentLang}`);
+
+        this.applyLocaleFonts(currentLang);
+    }
+
+    /**
+     * Load the locale's font stylesheet the first time it is shown and hand
+     * its stack to CSS through --locale-font-stack (see web-shared.css). The
+     * stylesheet is a third-party request, so it waits for fonts consent;
+     * until then the stack's system fonts render the script
+     * @param {string} lang - Language code
+     */
+    applyLocaleFonts(lang) {
+        const fonts = this.manifest ? this.manifest.getFonts(lang) : null;
+        const root = document.documentElement;
+
+        if (!fonts) {
+            root.style.removeProperty('--locale-font-stack');
+            return;
+        }
+
+        if (fonts.stylesheet && this.hasConsent('fonts') && !document.querySelector(`link[data-locale-fonts="${lang}"]`)) {
+            const link = document.createElement('link');
+            link.rel = 'stylesheet';
+            link.href = fonts.stylesheet;
+            link.dataset.localeFonts = lang;
+            document.head.appendChild(link);
+            this.log(`Loaded fonts for ${lang}`);
+        }
+
+        if (fonts.stack) {
+            root.style.setProperty('--locale-font-stack', fonts.stack);
+        }
     }
 
     /**
@@ -486,6 +656,170 @@ class FoxTradingApp {
         }, 3000);
     }
 
+    /**
+     * Explain what the location is used for before the browser asks for it
+     * @returns {Promise<boolean>} Whether the visitor agreed
+     */
+    explainGeolocation() {
+        const text = (key, fallback) => this.translateOr(key, fallback);
+
+        return new Promise(resolve => {
+            const existing = document.getElementById('foxtrading-location-prompt');
+            if (existing) existing.remove();
+
+            const prompt = document.createElement('div');
+            prompt.id = 'foxtrading-location-prompt';
+            prompt.className = 'location-prompt';
+            prompt.setAttribute('role', 'dialog');
+            prompt.setAttribute('aria-labelledby', 'foxtrading-location-prompt-title');
+            prompt.style.cssText = 'position:fixed;left:1rem;right:1rem;bottom:1rem;max-width:28rem;margin:0 auto;padding:1rem 1.25rem;background:#fff;color:#111;border-radius:8px;box-shadow:0 4px 24px rgba(0,0,0,.2);z-index:10000;';
+
+            const title = document.createElement('p');
+            title.id = 'foxtrading-location-prompt-title';
+            title.style.cssText = 'font-weight:600;margin:0 0 .5rem;';
+            title.textContent = text('location.title', 'Choose a language from your location?');
+
+            const body = document.createElement('p');
+            body.style.cssText = 'margin:0 0 1rem;';
+            body.textContent = text('location.body', 'We compare your approximate position with a map of countries stored on this site to pick your language. Your location is not sent anywhere or saved.');
+
+            const close = (agreed) => {
+                prompt.remove();
+                resolve(agreed);
+            };
+
+            const allow = document.createElement('button');
+            allow.type = 'button';
+            allow.textContent = text('location.allow', 'Use my location');
+            allow.addEventListener('click', () => close(true));
+
+            const decline = document.createElement('button');
+            decline.type = 'button';
+            decline.style.marginLeft = '.5rem';
+            decline.textContent = text('location.decline', 'Not now');
+            decline.addEventListener('click', () => close(false));
+
+            prompt.append(title, body, allow, decline);
+            document.body.appendChild(prompt);
+            allow.focus();
+        });
+    }
+
+    /**
+     * Show the consent banner if the visitor has not answered yet, and let
+     * [data-consent-settings] links (the footer's "Privacy settings") reopen it
+     */
+    setupConsent() {
+        if (!this.consent && !this.createConsent()) return;
+
+        // Fonts granted after the page was shown
+        this.consent.onChange(({ state }) => {
+            if (state.fonts) {
+                this.applyLocaleFonts(this.getCurrentLanguage());
+            }
+        });
+
+        document.querySelectorAll('[data-consent-settings]').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                this.showConsentBanner();
+            });
+        });
+
+        if (!this.consent.hasDecided()) {
+            this.showConsentBanner();
+        }
+    }
+
+    /**
+     * Consent banner with a checkbox per optional category. Texts carry
+     * data-i18n, so they follow language changes while the banner is open
+     */
+    showConsentBanner() {
+        const existing = document.getElementById('foxtrading-consent-banner');
+        if (existing) existing.remove();
+
+        const state = this.consent.getState();
+        const localized = (tag, key, fallback) => {
+            const element = document.createElement(tag);
+            element.setAttribute('data-i18n', key);
+            element.textContent = this.translateOr(key, fallback);
+            return element;
+        };
+
+        const banner = document.createElement('div');
+        banner.id = 'foxtrading-consent-banner';
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-labelledby', 'foxtrading-consent-title');
+        banner.style.cssText = 'position:fixed;left:1rem;right:1rem;bottom:1rem;max-width:36rem;margin:0 auto;padding:1rem 1.25rem;background:#fff;color:#111;border-radius:8px;box-shadow:0 4px 24px rgba(0,0,0,.2);z-index:10001;';
+
+        const title = localized('p', 'consent.title', 'Your privacy');
+        title.id = 'foxtrading-consent-title';
+        title.style.cssText = 'font-weight:600;margin:0 0 .5rem;';
+
+        const body = localized('p', 'consent.body', 'We only store or collect data with your permission. Necessary items keep the site working. You can change your choice at any time under "Privacy settings" at the bottom of the page.');
+        body.style.cssText = 'margin:0 0 .75rem;';
+
+        const labels = {
+            necessary: 'Necessary: your privacy choices and cached translations',
+            preferences: 'Preferences: remember your language',
+            analytics: 'Analytics: language usage statistics',
+            location: 'Location: use your position to suggest a language',
+            fonts: 'Fonts: load Chinese and Tamil fonts from Google Fonts'
+        };
+
+        const checkboxes = {};
+        const list = document.createElement('div');
+        list.style.cssText = 'margin:0 0 1rem;';
+        Object.keys(this.consent.categories).forEach(category => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display:block;margin:.25rem 0;';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.name = category;
+            input.checked = state[category];
+            input.disabled = Boolean(this.consent.categories[category].required);
+            input.style.marginRight = '.5rem';
+            checkboxes[category] = input;
+
+            label.append(input, localized('span', `consent.categories.${category}`, labels[category] || category));
+            list.appendChild(label);
+        });
+
+        const close = (update) => {
+            update();
+            banner.remove();
+        };
+
+        const button = (key, fallback, onClick) => {
+            const element = localized('button', key, fallback);
+            element.type = 'button';
+            element.style.marginRight = '.5rem';
+            element.addEventListener('click', () => close(onClick));
+            return element;
+        };
+
+        const acceptAll = button('consent.acceptAll', 'Accept all', () => this.consent.acceptAll());
+        const rejectAll = button('consent.rejectAll', 'Necessary only', () => this.consent.rejectAll());
+        const save = button('consent.save', 'Save choices', () => {
+            this.consent.update(Object.fromEntries(Object.entries(checkboxes).map(([category, input]) => [category, input.checked])));
+        });
+
+        banner.append(title, body, list, acceptAll, rejectAll, save);
+        document.body.appendChild(banner);
+        acceptAll.focus();
+    }
+
+    /**
+     * Whether the visitor allows a consent category
+     * @param {string} category - necessary, preferences, analytics or location
+     */
+    hasConsent(category) {
+        return this.consent ? this.consent.has(category) : false;
+    }
+
     /**
      * Show language error
      */
@@ -499,6 +833,12 @@ class FoxTradingApp {
      */
     initializeFallback() {
         console.warn('Initializing fallback mode');
+
+        // Show any content still hidden by i18n-cloak
+        I18n.uncloak();
+
+        // Consent is still asked for, in English
+        this.setupConsent();
         
         // Set default language
         document.documentElement.lang = this.config.defaultLanguage;
@@ -522,7 +862,7 @@ class FoxTradingApp {
      * Track language usage for analytics
      */
     trackLanguageUsage(detection) {
-        if (!this.debug) return;
+        if (!this.debug || !this.hasConsent('analytics')) return;
         
         try {
             const analytics = {
@@ -548,7 +888,7 @@ class FoxTradingApp {
      * Track language change
      */
     trackLanguageChange(data) {
-        if (!this.debug) return;
+        if (!this.debug || !this.hasConsent('analytics')) return;
         
         try {
             const analytics = {
@@ -568,7 +908,7 @@ class FoxTradingApp {
      * Track session end
      */
     trackSessionEnd() {
-        if (!this.debug) return;
+        if (!this.debug || !this.hasConsent('analytics')) return;
         
         try {
             const analytics = {
@@ -585,248 +925,53 @@ class FoxTradingApp {
     }
 
     /**
-     * Add translation attributes to HTML elements
+     * Load the element-to-key bindings (locales/bindings.json)
      */
-    addTranslationAttributes() {
+    async loadBindings() {
         try {
-            this.log('Adding translation attributes to HTML elements...');
-
-            // Navigation links
-            const navSelectors = [
-                { selector: 'a[href="#hero-section"]', key: 'nav.home' },
-                { selector: 'a[href="#about-section"]', key: 'nav.about' },
-                { selector: 'a[href="#service-section"]', key: 'nav.services' },
-                { selector: 'a[href="#project-section"]', key: 'nav.project' },
-                { selector: 'a[href="#testimonial-section"]', key: 'nav.testimonial' },
-                { selector: 'a[href="#team-section"]', key: 'nav.team' },
-                { selector: 'a[href="#faq-section"]', key: 'nav.faq' }
-            ];
-
-            navSelectors.forEach(({selector, key}) => {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach(el => el.setAttribute('data-i18n', key));
-            });
-
-            // Hero section
-            const heroTitle = document.querySelector('.hero-titile-text');
-            if (heroTitle) heroTitle.setAttribute('data-i18n', 'hero.title');
-
-            const heroSubtitle = document.querySelector('.hero-sub-title');
-            if (heroSubtitle) heroSubtitle.setAttribute('data-i18n', 'hero.subtitle');
-
-            const brandTitle = document.querySelector('.brand-partner-title');
-            if (brandTitle) brandTitle.setAttribute('data-i18n', 'hero.toolsPartners');
+            this.bindings = await TranslationBinder.load(this.config.bindingsUrl);
+        } catch (error) {
+            // Markup that already carries data-i18n attributes still translates
+            console.error('Failed to load translation bindings:', error);
+            this.bindings = new TranslationBinder();
+        }
 
-            // About section
-            const aboutLabel = document.querySelector('#about-section .sub-label-section');
-            if (aboutLabel) aboutLabel.setAttribute('data-i18n', 'about.label');
+        return this.bindings;
+    }
 
-            const aboutTitle = document.querySelector('.title-about-us');
-            if (aboutTitle) aboutTitle.setAttribute('data-i18n', 'about.title');
+    /**
+     * Add translation attributes to HTML elements from the bindings file
+     * @param {TranslationBinder} binder - Defaults to the loaded bindings
+     * @returns {Object|null} Binder report (unmatched selectors, count mismatches)
+     */
+    applyBindings(binder = this.bindings) {
+        if (!binder) return null;
 
-            const aboutDesc = document.querySelector('.desription-about-us');
-            if (aboutDesc) aboutDesc.setAttribute('data-i18n', 'about.description');
+        const report = binder.apply(document);
+        this.log(`Translation bindings applied to ${report.applied} elements`, report);
 
-            // About stats
-            const stats = [
-                { selector: '.amount-categoty', keys: ['about.established', 'about.workAcross', 'about.over'] },
-                { selector: '.amount-type', keys: ['about.years', 'about.countries', 'about.projects'] }
-            ];
+        return report;
+    }
 
-            stats.forEach(({selector, keys}) => {
-                const elements = document.querySelectorAll(selector);
-                elements.forEach((el, index) => {
-                    if (keys[index]) {
-                        el.setAttribute('data-i18n', keys[index]);
-                    }
+    /**
+     * Load the translation editor script on demand and switch it on
+     */
+    async initializeTranslationEditor() {
+        try {
+            if (typeof TranslationEditor === 'undefined') {
+                await new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = this.config.translationEditorSrc;
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+                    document.head.appendChild(script);
                 });
-            });
-
-            // Services section
-            const servicesLabel = document.querySelector('#service-section .sub-label-section');
-            if (servicesLabel) servicesLabel.setAttribute('data-i18n', 'services.label');
-
-            // Service tabs - need to map each service
-            const serviceTitles = document.querySelectorAll('.benefit-title');
-            const serviceKeys = ['services.ecoFriendly.title', 'services.sustainable.title', 'services.greenHome.title', 'services.ecoConscious.title'];
-            serviceTitles.forEach((title, index) => {
-                if (serviceKeys[index]) {
-                    title.setAttribute('data-i18n', serviceKeys[index]);
-                }
-            });
-
-            const serviceDescs = document.querySelectorAll('.benefit-desc');
-            const serviceDescKeys = ['services.ecoFriendly.description', 'services.sustainable.description', 'services.greenHome.description', 'services.ecoConscious.description'];
-            serviceDescs.forEach((desc, index) => {
-                if (serviceDescKeys[index]) {
-                    desc.setAttribute('data-i18n', serviceDescKeys[index]);
-                }
-            });
-
-            // Service facts and stats in detail cards
-            const serviceFacts = document.querySelectorAll('.benefit-wrapper-content .paragraph-body-3');
-            const serviceFactKeys = ['services.ecoFriendly.fact', 'services.sustainable.fact', 'services.greenHome.fact', 'services.ecoConscious.fact'];
-            serviceFacts.forEach((fact, index) => {
-                if (serviceFactKeys[index]) {
-                    fact.setAttribute('data-i18n', serviceFactKeys[index]);
-                }
-            });
-
-            // Service stat values and labels
-            const serviceStatValues = document.querySelectorAll('.benefit-amount-text');
-            const serviceStatLabels = document.querySelectorAll('.benefit-value');
-            // These are complex nested elements, let's add specific mapping for each service
-
-            // Projects section
-            const projectsLabel = document.querySelector('#project-section .sub-label-section');
-            if (projectsLabel) projectsLabel.setAttribute('data-i18n', 'projects.label');
-
-            const projectsTitle = document.querySelector('#project-section .title-section');
-            if (projectsTitle) projectsTitle.setAttribute('data-i18n', 'projects.title');
-
-            // Project titles and descriptions
-            const projectTitles = document.querySelectorAll('.title-project');
-            const projectKeys = ['projects.project1.title', 'projects.project2.title', 'projects.project3.title'];
-            projectTitles.forEach((title, index) => {
-                if (projectKeys[index]) {
-                    title.setAttribute('data-i18n', projectKeys[index]);
-                }
-            });
-
-            const projectDescs = document.querySelectorAll('.description-project');
-            const projectDescKeys = ['projects.project1.description', 'projects.project2.description', 'projects.project3.description'];
-            projectDescs.forEach((desc, index) => {
-                if (projectDescKeys[index]) {
-                    desc.setAttribute('data-i18n', projectDescKeys[index]);
-                }
-            });
-
-            // Project specifications
-            const specTitles = document.querySelectorAll('.title-spesification');
-            const specKeys = ['projects.project1.totalArea', 'projects.project1.totalRoom', 'projects.project1.dateOfBuild'];
-            specTitles.forEach((spec, index) => {
-                if (specKeys[index]) {
-                    spec.setAttribute('data-i18n', specKeys[index]);
-                }
-            });
-
-            // Project specification values 
-            const specValues = document.querySelectorAll('.value-spesification');
-            const specValueKeys = ['projects.project1.area', 'projects.project1.rooms', 'projects.project1.date', 
-                                   'projects.project2.area', 'projects.project2.rooms', 'projects.project2.date',
-                                   'projects.project3.area', 'projects.project3.rooms', 'projects.project3.date'];
-            specValues.forEach((value, index) => {
-                if (specValueKeys[index]) {
-                    value.setAttribute('data-i18n', specValueKeys[index]);
-                }
-            });
-
-            // Project type labels (tags like "Sustainable living designs")
-            const projectTypes = document.querySelectorAll('.project-type-text');
-            const projectTypeKeys = ['projects.sustainableLiving', 'projects.greenHomeSolutions', 'projects.ecoFriendlyConstruction', 'projects.ecoConsciousArchitecture'];
-            projectTypes.forEach((type, index) => {
-                if (projectTypeKeys[index]) {
-                    type.setAttribute('data-i18n', projectTypeKeys[index]);
-                }
-            });
-
-            // Testimonials section
-            const testimonialsLabel = document.querySelector('#testimonial-section .sub-label-section');
-            if (testimonialsLabel) testimonialsLabel.setAttribute('data-i18n', 'testimonials.label');
-
-            const testimonialsTitle = document.querySelector('#testimonial-section .title-section');
-            if (testimonialsTitle) testimonialsTitle.setAttribute('data-i18n', 'testimonials.title');
-
-            // Testimonial texts and authors
-            const testimonialTexts = document.querySelectorAll('.testimonial-text');
-            const testimonialKeys = ['testimonials.testimonial1.text', 'testimonials.testimonial2.text', 'testimonials.testimonial3.text'];
-            testimonialTexts.forEach((text, index) => {
-                if (testimonialKeys[index]) {
-                    text.setAttribute('data-i18n', testimonialKeys[index]);
-                }
-            });
-
-            const testimonialNames = document.querySelectorAll('.testimonial-name');
-            const testimonialNameKeys = ['testimonials.testimonial1.author', 'testimonials.testimonial2.author', 'testimonials.testimonial3.author'];
-            testimonialNames.forEach((name, index) => {
-                if (testimonialNameKeys[index]) {
-                    name.setAttribute('data-i18n', testimonialNameKeys[index]);
-                }
-            });
-
-            // Team section
-            const teamLabel = document.querySelector('#team-section .sub-label-section');
-            if (teamLabel) teamLabel.setAttribute('data-i18n', 'team.label');
-
-            const teamTitle = document.querySelector('#team-section .title-section');
-            if (teamTitle) teamTitle.setAttribute('data-i18n', 'team.title');
-
-            // Team member names and positions
-            const teamNames = document.querySelectorAll('.team-name');
-            const teamNameKeys = ['team.member1.name', 'team.member2.name', 'team.member3.name', 'team.member4.name'];
-            teamNames.forEach((name, index) => {
-                if (teamNameKeys[index]) {
-                    name.setAttribute('data-i18n', teamNameKeys[index]);
-                }
-            });
-
-            const teamPositions = document.querySelectorAll('.team-position');
-            const teamPositionKeys = ['team.member1.position', 'team.member2.position', 'team.member3.position', 'team.member4.position'];
-            teamPositions.forEach((position, index) => {
-                if (teamPositionKeys[index]) {
-                    position.setAttribute('data-i18n', teamPositionKeys[index]);
-                }
-            });
-
-            const teamDescriptions = document.querySelectorAll('.team-description');
-            const teamDescKeys = ['team.member1.description', 'team.member2.description', 'team.member3.description', 'team.member4.description'];
-            teamDescriptions.forEach((desc, index) => {
-                if (teamDescKeys[index]) {
-                    desc.setAttribute('data-i18n', teamDescKeys[index]);
-                }
-            });
-
-            // FAQ section
-            const faqLabel = document.querySelector('#faq-section .sub-label-section');
-            if (faqLabel) faqLabel.setAttribute('data-i18n', 'faq.label');
-
-            // FAQ questions and answers
-            const faqQuestions = document.querySelectorAll('.title-question');
-            const faqKeys = ['faq.q1.question', 'faq.q2.question', 'faq.q3.question', 'faq.q4.question'];
-            faqQuestions.forEach((question, index) => {
-                if (faqKeys[index]) {
-                    question.setAttribute('data-i18n', faqKeys[index]);
-                }
-            });
-
-            const faqAnswers = document.querySelectorAll('.answer-text');
-            const faqAnswerKeys = ['faq.q1.answer', 'faq.q2.answer', 'faq.q3.answer', 'faq.q4.answer'];
-            faqAnswers.forEach((answer, index) => {
-                if (faqAnswerKeys[index]) {
-                    answer.setAttribute('data-i18n', faqAnswerKeys[index]);
-                }
-            });
-
-            // Let's meet! buttons
-            const bookCallButtons = document.querySelectorAll('.button-book-a-call div');
-            bookCallButtons.forEach(btn => btn.setAttribute('data-i18n', 'nav.bookCall'));
-
-            // Footer
-            const footerLinks = document.querySelectorAll('.footer-link');
-            const footerKeys = ['footer.changelog', 'footer.styleGuide', 'footer.licence'];
-            footerLinks.forEach((link, index) => {
-                if (footerKeys[index]) {
-                    link.setAttribute('data-i18n', footerKeys[index]);
-                }
-            });
-
-            const copyright = document.querySelector('.copyright-footer');
-            if (copyright) copyright.setAttribute('data-i18n', 'footer.rights');
-
-            this.log('Translation attributes added successfully to ALL sections');
+            }
 
+            this.editor = new TranslationEditor(this.i18n);
+            this.editor.enable();
         } catch (error) {
-            console.error('Error adding translation attributes:', error);
+            console.warn('Translation editor unavailable:', error);
         }
     }
 
@@ -840,11 +985,13 @@ class FoxTradingApp {
             // Check if LazyLoader is available
             if (typeof LazyLoader === 'undefined') {
                 this.log('LazyLoader not available, skipping lazy loading initialization');
+                this.loadAllNamespaces();
                 return;
             }
             
             this.lazyLoader = new LazyLoader({
-                debug: this.debug
+                debug: this.debug,
+                i18n: this.i18n
             });
             
             this.lazyLoader.init();
@@ -853,10 +1000,19 @@ class FoxTradingApp {
         } catch (error) {
             console.error('Failed to initialize lazy loading:', error);
             this.log('Continuing without lazy loading...');
+            this.loadAllNamespaces();
             // Continue without lazy loading
         }
     }
 
+    /**
+     * Load every translation namespace up front (used when sections are not lazy loaded)
+     */
+    async loadAllNamespaces() {
+        await this.i18n.loadNamespaces(this.config.namespaces);
+        this.i18n.updateDOM();
+    }
+
     /**
      * Get debug information
      */
@@ -900,12 +1056,30 @@ class FoxTradingApp {
     translate(key, params) {
         return this.i18n ? this.i18n.translate(key, params) : key;
     }
+
+    /**
+     * Translate a key, or return fallback text when I18n is not ready or lacks it
+     */
+    translateOr(key, fallback) {
+        return this.i18n && this.i18n.hasTranslation(key) ? this.i18n.translate(key) : fallback;
+    }
+}
+
+// In the browser, translate the inlined critical strings as soon as the script runs
+if (typeof module === 'undefined' && typeof window !== 'undefined') {
+    try {
+        window.foxTradingApp = new FoxTradingApp();
+        window.app = window.foxTradingApp; // Compatibility alias
+        window.foxTradingApp.renderCritical();
+    } catch (error) {
+        console.error('Failed to render critical translations:', error);
+    }
 }
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
     try {
-        window.foxTradingApp = new FoxTradingApp();
+        window.foxTradingApp = window.foxTradingApp || new FoxTradingApp();
         window.app = window.foxTradingApp; // Compatibility alias
         await window.foxTradingApp.init();
     } catch (error) {
@@ -0,0 +1,223 @@
+/**
+ * Consent Manager
+ * Records which optional kinds of processing the visitor allows (Singapore
+ * PDPA, Mexico LFPDPPP) and lets modules check before they store or collect
+ * anything. Withdrawing a category runs the purge callbacks registered for
+ * it, so data kept under that category is deleted
+ */
+class ConsentManager {
+    /**
+     * @param {Object} options - { storageKey, version, categories }
+     *
+     * - version: bump when the categories or their wording change; consent
+     *   given for another version is asked for again
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'foxtrading_sg_consent';
+        this.version = options.version || 1;
+
+        // necessary is always granted: the site does not work without it
+        this.categories = options.categories || {
+            necessary: { required: true },   // this record, the translation cache, the language choice cookie
+            preferences: { required: false }, // remembered detections (localStorage)
+            analytics: { required: false },   // language usage and session tracking
+            location: { required: false },    // geolocation for language detection
+            fonts: { required: false }        // locale web fonts from Google Fonts (zh-Hans-SG, ta-SG)
+        };
+
+        this.listeners = new Set();
+        this.purgers = new Map(); // category -> Set of callbacks
+        this.record = this._read();
+    }
+
+    /**
+     * Whether a category may be used
+     * @param {string} category - e.g. 'preferences'
+     * @returns {boolean}
+     */
+    has(category) {
+        const definition = this.categories[category];
+        if (!definition) return false;
+        if (definition.required) return true;
+
+        return Boolean(this.record && this.record.categories[category]);
+    }
+
+    /**
+     * Whether the visitor has answered (for the current version)
+     * @returns {boolean}
+     */
+    hasDecided() {
+        return this.record !== null;
+    }
+
+    /**
+     * Current choice for every category
+     * @returns {Object} e.g. { necessary: true, preferences: false, ... }
+     */
+    getState() {
+        return Object.fromEntries(Object.keys(this.categories).map(category => [category, this.has(category)]));
+    }
+
+    /**
+     * Save choices; categories left out keep their current value
+     * @param {Object} choices - e.g. { preferences: true, analytics: false }
+     * @returns {Object} New state
+     */
+    update(choices = {}) {
+        const previous = this.getState();
+        const decided = this.hasDecided();
+        const categories = {};
+
+        Object.entries(this.categories).forEach(([category, definition]) => {
+            categories[category] = definition.required || Boolean(
+                category in choices ? choices[category] : previous[category]
+            );
+        });
+
+        this.record = { version: this.version, categories, updatedAt: new Date().toISOString() };
+        this._write(this.record);
+
+        // Purge what an earlier (or pre-consent) version of the site may have stored
+        Object.keys(categories)
+            .filter(category => !categories[category] && (previous[category] || !decided))
+            .forEach(category => this._purge(category));
+
+        const state = this.getState();
+        this._emit({ state, previous });
+        return state;
+    }
+
+    /**
+     * Allow every category
+     */
+    acceptAll() {
+        return this.update(Object.fromEntries(Object.keys(this.categories).map(category => [category, true])));
+    }
+
+    /**
+     * Allow only the necessary categories
+     */
+    rejectAll() {
+        return this.update(Object.fromEntries(Object.keys(this.categories).map(category => [category, false])));
+    }
+
+    /**
+     * Allow one category
+     */
+    grant(category) {
+        return this.update({ [category]: true });
+    }
+
+    /**
+     * Withdraw one category and delete what was stored under it
+     */
+    revoke(category) {
+        return this.update({ [category]: false });
+    }
+
+    /**
+     * Withdraw everything and forget the answer, so the banner is shown again
+     */
+    reset() {
+        const previous = this.getState();
+
+        Object.keys(this.categories)
+            .filter(category => !this.categories[category].required)
+            .forEach(category => this._purge(category));
+
+        this.record = null;
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn('Error clearing consent record:', error);
+        }
+
+        this._emit({ state: this.getState(), previous });
+    }
+
+    /**
+     * Register what to delete when a category is withdrawn
+     * @param {string} category - Category name
+     * @param {Function} callback - Deletes the stored data
+     * @returns {Function} Call to unregister
+     */
+    onRevoke(category, callback) {
+        if (!this.purgers.has(category)) {
+            this.purgers.set(category, new Set());
+        }
+        this.purgers.get(category).add(callback);
+        return () => this.purgers.get(category).delete(callback);
+    }
+
+    /**
+     * Listen for changes; also dispatched on window as 'consent:change'
+     * @param {Function} callback - ({ state, previous }) => void
+     * @returns {Function} Call to unsubscribe
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * @private
+     */
+    _purge(category) {
+        (this.purgers.get(category) || new Set()).forEach(callback => {
+            try {
+                callback(category);
+            } catch (error) {
+                console.warn(`Error purging ${category} data:`, error);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _emit(detail) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error('Error in consent listener:', error);
+            }
+        });
+
+        if (typeof window !== 'undefined' && typeof window.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('consent:change', { detail }));
+        }
+    }
+
+    /**
+     * The stored record, or null when missing, unreadable or from another version
+     * @private
+     */
+    _read() {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.storageKey));
+            return record && record.version === this.version && record.categories ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _write(record) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(record));
+        } catch (error) {
+            console.warn('Error storing consent:', error);
+        }
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentManager;
+} else if (typeof window !== 'undefined') {
+    window.ConsentManager = ConsentManager;
+}
@@ -0,0 +1,139 @@
+/**
+ * Country Locator
+ * Finds the country of a coordinate in assets/data/countries.geo.json, a
+ * bundled set of simplified country outlines, so geolocation detection needs
+ * no reverse-geocoding service
+ */
+class CountryLocator {
+    /**
+     * @param {Object} data - Parsed GeoJSON FeatureCollection; each feature has
+     *   properties { code, name } and a Polygon or MultiPolygon geometry
+     */
+    constructor(data = {}) {
+        this.countries = (data.features || [])
+            .filter(feature => feature.properties && feature.properties.code && feature.geometry)
+            .map(feature => {
+                const polygons = feature.geometry.type === 'MultiPolygon'
+                    ? feature.geometry.coordinates
+                    : [feature.geometry.coordinates];
+
+                return {
+                    code: feature.properties.code,
+                    name: feature.properties.name || feature.properties.code,
+                    polygons: polygons.map(rings => ({
+                        rings,
+                        bbox: CountryLocator._getBoundingBox(rings[0]),
+                        area: CountryLocator._getArea(rings[0])
+                    }))
+                };
+            });
+    }
+
+    /**
+     * Fetch and parse a boundary file
+     * @param {string} url - GeoJSON URL
+     * @param {Object} options - { loader: url => Promise<Object> } to read it without fetch
+     * @returns {Promise<CountryLocator>}
+     */
+    static async load(url = '/assets/data/countries.geo.json', options = {}) {
+        if (options.loader) {
+            return new CountryLocator(await options.loader(url));
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load country boundaries: ${response.status} ${response.statusText}`);
+        }
+
+        return new CountryLocator(await response.json());
+    }
+
+    /**
+     * The country containing a point. Simplified outlines can overlap along
+     * coasts, so the smallest containing polygon wins (Singapore over Johor)
+     * @param {number} latitude - Degrees north
+     * @param {number} longitude - Degrees east
+     * @returns {{ code: string, name: string }|null}
+     */
+    locate(latitude, longitude) {
+        let best = null;
+
+        this.countries.forEach(country => {
+            country.polygons.forEach(polygon => {
+                if (best && polygon.area >= best.area) return;
+                if (!CountryLocator._inBoundingBox(polygon.bbox, longitude, latitude)) return;
+                if (!CountryLocator.containsPoint(polygon.rings, longitude, latitude)) return;
+
+                best = { code: country.code, name: country.name, area: polygon.area };
+            });
+        });
+
+        return best ? { code: best.code, name: best.name } : null;
+    }
+
+    /**
+     * Whether a GeoJSON polygon (outer ring, then holes) contains a point
+     * @param {Array<Array<number[]>>} rings - [longitude, latitude] rings
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {boolean}
+     */
+    static containsPoint(rings, x, y) {
+        if (!CountryLocator._ringContains(rings[0], x, y)) return false;
+        return !rings.slice(1).some(hole => CountryLocator._ringContains(hole, x, y));
+    }
+
+    /**
+     * Even-odd ray casting
+     * @private
+     */
+    static _ringContains(ring, x, y) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * @private
+     */
+    static _getBoundingBox(ring) {
+        const xs = ring.map(point => point[0]);
+        const ys = ring.map(point => point[1]);
+        return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+    }
+
+    /**
+     * @private
+     */
+    static _inBoundingBox([minX, minY, maxX, maxY], x, y) {
+        return x >= minX && x <= maxX && y >= minY && y <= maxY;
+    }
+
+    /**
+     * Ring area in square degrees (shoelace); only used to rank overlaps
+     * @private
+     */
+    static _getArea(ring) {
+        let sum = 0;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            sum += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+        }
+        return Math.abs(sum / 2);
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CountryLocator;
+} else if (typeof window !== 'undefined') {
+    window.CountryLocator = CountryLocator;
+}
@@ -0,0 +1,172 @@
+/**
+ * HTML Sanitizer for Rich-Text Translations
+ * Reduces translated markup to a small allowlist (strong, em, br, a, span)
+ * before it is written with innerHTML
+ */
+class HtmlSanitizer {
+    constructor(options = {}) {
+        // Allowed tags and the attributes each may keep
+        this.allowedTags = options.allowedTags || {
+            strong: [],
+            em: [],
+            br: [],
+            a: ['href', 'title', 'target', 'rel'],
+            span: ['class']
+        };
+
+        // Tags whose content is dropped along with the tag itself
+        this.droppedContentTags = options.droppedContentTags || [
+            'script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'
+        ];
+
+        this.voidTags = ['br'];
+        this.allowedSchemes = options.allowedSchemes || ['http', 'https', 'mailto', 'tel'];
+
+        this.tokenRegex = /<!--[\s\S]*?(?:-->|$)|<\/?([a-zA-Z][\w-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>|<|[^<]+/g;
+        this.attributeRegex = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    }
+
+    /**
+     * Sanitize an HTML string
+     * @param {string} html - Untrusted markup from a translation
+     * @returns {string} Markup containing only allowlisted tags and attributes
+     */
+    sanitize(html) {
+        const input = String(html ?? '');
+        const openTags = [];
+        let output = '';
+        let skipping = null; // { tag, depth } while inside a dropped-content tag
+
+        input.replace(this.tokenRegex, (token, tagName, attributes) => {
+            const name = tagName ? tagName.toLowerCase() : null;
+            const isClosing = token.startsWith('</');
+
+            if (skipping) {
+                if (name === skipping.tag) {
+                    skipping.depth += isClosing ? -1 : 1;
+                    if (skipping.depth === 0) skipping = null;
+                }
+                return token;
+            }
+
+            // Comments and stray "<" characters
+            if (token.startsWith('<!--')) return token;
+            if (!name) {
+                output += this.escape(token);
+                return token;
+            }
+
+            if (!isClosing && this.droppedContentTags.includes(name)) {
+                skipping = { tag: name, depth: 1 };
+                return token;
+            }
+
+            if (!this.allowedTags[name]) {
+                return token; // Drop the tag, keep its text
+            }
+
+            if (isClosing) {
+                const index = openTags.lastIndexOf(name);
+                if (index !== -1) {
+                    openTags.splice(index).reverse().forEach(tag => {
+                        output += `</${tag}>`;
+                    });
+                }
+                return token;
+            }
+
+            output += `<${name}${this._sanitizeAttributes(name, attributes || '')}>`;
+            if (!this.voidTags.includes(name)) {
+                openTags.push(name);
+            }
+            return token;
+        });
+
+        // Close anything the translation left open
+        openTags.reverse().forEach(tag => {
+            output += `</${tag}>`;
+        });
+
+        return output;
+    }
+
+    /**
+     * Keep only allowlisted attributes with safe values
+     * @private
+     */
+    _sanitizeAttributes(tag, attributes) {
+        const allowed = this.allowedTags[tag];
+        const result = {};
+
+        attributes.replace(this.attributeRegex, (match, rawName, doubleQuoted, singleQuoted, unquoted) => {
+            const name = rawName.toLowerCase();
+            const value = this._decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+
+            if (!allowed.includes(name)) return match;
+
+            if (name === 'href' && !this.isSafeUrl(value)) return match;
+            if (name === 'class' && !/^[\w\s-]*$/.test(value)) return match;
+            if (name === 'target' && !['_blank', '_self'].includes(value)) return match;
+
+            result[name] = value;
+            return match;
+        });
+
+        // New windows must not get a handle on this page
+        if (result.target === '_blank') {
+            result.rel = 'noopener noreferrer';
+        }
+
+        return Object.entries(result)
+            .map(([name, value]) => ` ${name}="${this.escape(value)}"`)
+            .join('');
+    }
+
+    /**
+     * Allow relative URLs and the configured schemes only
+     * @param {string} url - URL to check (entities already decoded)
+     */
+    isSafeUrl(url) {
+        // Browsers ignore control characters and whitespace inside the scheme
+        const normalized = String(url).replace(/[\u0000- \u007f]/g, '');
+        const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+        return !scheme || this.allowedSchemes.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Escape text for use in HTML, leaving well-formed entities alone
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&(?!(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Decode the entities that could hide a URL scheme
+     * @private
+     */
+    _decodeEntities(value) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+
+        return value.replace(/&(#x[\da-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(Math.min(code, 0x10ffff)) : match;
+            }
+            return named[entity.toLowerCase()] ?? match;
+        });
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+} else if (typeof window !== 'undefined') {
+    window.HtmlSanitizer = HtmlSanitizer;
+}
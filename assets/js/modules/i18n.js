@@ -4,16 +4,58 @@
  */
 class I18n {
     constructor(options = {}) {
-        this.currentLanguage = options.defaultLanguage || 'en-SG'; // ✅ FIXED
-        this.fallbackLanguage = options.fallbackLanguage || 'en-SG'; // ✅ FIXED
+        // Locale manifest (LocaleManifest) supplying languages, fallback chains and direction
+        const manifest = options.manifest || null;
+        this.manifest = manifest;
+        this.currentLanguage = options.defaultLanguage || (manifest ? manifest.defaultLanguage : 'en-SG'); // ✅ FIXED
+        this.fallbackLanguage = options.fallbackLanguage || (manifest ? manifest.fallbackLanguage : 'en-SG'); // ✅ FIXED
         this.translations = {};
-        this.supportedLanguages = options.supportedLanguages || ['en-SG', 'es-MX']; // ✅ FIXED
+        // Inlined first-paint strings (see applyCriticalBundle), used until the full bundles load
+        this.criticalTranslations = {};
+        this.supportedLanguages = options.supportedLanguages || (manifest ? manifest.getCodes() : [this.fallbackLanguage]); // ✅ FIXED
         this.basePath = options.basePath || '/locales/';
+        this.namespaces = options.namespaces || (manifest ? manifest.namespaces : null); // null = one bundle per language
+        this.initialNamespaces = options.initialNamespaces || ['core'];
+        this.namespaceState = new Map();
+        this.store = options.store || null;
+        this.persistCache = options.persistCache || Boolean(options.store);
+        this.cacheVersion = options.cacheVersion || '1';
+        this.loader = options.loader || null; // (url, { language, namespace }) => Promise<Object>, e.g. file reads in Node
+        this.revalidated = new Set();
+        this.fallbackChains = options.fallbackChains || (manifest ? manifest.getFallbackChains() : {});
+        this.baseLocales = options.baseLocales || (manifest ? manifest.getBaseLocaleCodes() : []);
+        this.onMissingKey = options.onMissingKey || null;
+        this.missingKeys = new Set();
+        this.urlAttributes = ['href', 'src', 'action', 'formaction', 'poster'];
+        this.sanitizer = options.sanitizer || null;
+        // Pseudo-locale generated from the fallback language's strings (null disables it)
+        this.pseudoLocale = options.pseudoLocale === undefined ? 'qps-ploc' : options.pseudoLocale;
+        this.pseudoLocalizer = options.pseudoLocalizer || null;
+        this.elementSelector = '[data-i18n], [data-i18n-attr]';
+        this.observedAttributes = ['data-i18n', 'data-i18n-params', 'data-i18n-attr', 'data-i18n-html'];
+        this.observeMutations = options.observe || false;
+        this.observer = null;
+        this.pendingElements = new Set();
+        this.pendingFrame = null;
+        this.pendingFlush = null; // { promise, resolve } for the scheduled frame
+        // key → Set<Element> and Element → keys, built on the first full update
+        // and kept current from mutation records (indexObserver when not observing)
+        this.elementIndex = new Map();
+        this.elementKeys = new Map();
+        this.indexBuilt = false;
+        this.indexObserver = null;
         this.cache = new Map();
         this.interpolationRegex = /\{\{([^}]+)\}\}/g;
-        
-        // Event system
+        this.icuArgumentRegex = /^\{\s*([\w.]+)\s*,\s*(plural|selectordinal|select)\s*,/;
+        this.pluralRules = new Map();
+        this.formatters = new Map();
+
+        // Event system; events are also dispatched as DOM CustomEvents (i18n:<event>) for other scripts
         this.listeners = {};
+        this.domEvents = options.domEvents !== false;
+        this.eventTarget = options.eventTarget || (typeof window !== 'undefined' ? window : null);
+        this.eventPrefix = options.eventPrefix || 'i18n:';
+        this.isReady = false;
         
         // Performance optimization
         this.translationPromises = new Map();
@@ -26,19 +68,30 @@ class I18n {
         try {
             // Load initial language translations
             await this.loadTranslations(this.currentLanguage);
+            this.criticalTranslations = {};
             
             // Set HTML lang attribute
             this.updateHtmlLang();
             
-            // Apply initial translations
-            this.updateDOM();
+            // Apply initial translations now: animation frames never run in a background tab
+            await this.updateDOM(document, { sync: true });
+
+            // Translate nodes inserted later on
+            if (this.observeMutations) {
+                this.observe();
+            }
+
+            // Show regions hidden until translated
+            I18n.uncloak();
             
             // Emit ready event
+            this.isReady = true;
             this.emit('ready', { language: this.currentLanguage });
             
             return true;
         } catch (error) {
             console.error('Failed to initialize i18n:', error);
+            this.emit('error', { language: this.currentLanguage, phase: 'init', error });
             
             // Fallback to default language if current fails
             if (this.currentLanguage !== this.fallbackLanguage) {
@@ -46,6 +99,9 @@ class I18n {
                 this.currentLanguage = this.fallbackLanguage;
                 return this.init();
             }
+
+            // Never leave content hidden, even untranslated
+            I18n.uncloak();
             
             throw error;
         }
@@ -54,8 +110,23 @@ class I18n {
     /**
      * Load translations for a specific language
      * @param {string} lang - Language code (e.g., 'en', 'es-MX')
+     * @param {string[]} namespaces - Namespace bundles to load (namespaced mode only)
      */
-    async loadTranslations(lang) {
+    async loadTranslations(lang, namespaces = this.initialNamespaces) {
+        if (this.namespaces) {
+            const results = await Promise.allSettled(
+                namespaces.map(namespace => this._loadNamespaceBundle(lang, namespace))
+            );
+            await this._loadFallbackBundles(lang, namespaces);
+
+            const failed = results.find(result => result.status === 'rejected');
+            if (failed) {
+                throw failed.reason;
+            }
+
+            return this.translations[lang];
+        }
+
         // Check cache first
         if (this.translations[lang]) {
             return this.translations[lang];
@@ -66,29 +137,327 @@ class I18n {
             return this.translationPromises.get(lang);
         }
 
-        const promise = this._fetchTranslations(lang);
+        const promise = this._loadBundle(lang);
         this.translationPromises.set(lang, promise);
+        this.emit('loading', { language: lang, namespace: null });
 
         try {
             const translations = await promise;
             this.translations[lang] = translations;
             this.cache.set(`translations_${lang}`, translations);
+            this.emit('loaded', { language: lang, namespace: null });
+            await this._loadFallbackBundles(lang, namespaces);
             return translations;
         } catch (error) {
             this.translationPromises.delete(lang);
+            this.emit('error', { language: lang, namespace: null, phase: 'load', error });
             throw error;
         }
     }
 
+    /**
+     * Load the rest of a language's fallback chain (base locales and the
+     * fallback language) so missing keys can be resolved one by one
+     * @private
+     */
+    async _loadFallbackBundles(lang, namespaces) {
+        const bundles = this.getFallbackChain(lang)
+            .slice(1)
+            .filter(code => code === this.fallbackLanguage || this.baseLocales.includes(code))
+            .filter(code => !namespaces.every(namespace => this.isNamespaceLoaded(namespace, code)));
+
+        await Promise.all(bundles.map(code => this.loadTranslations(code, namespaces).catch(error => {
+            console.warn(`Fallback bundle ${code} unavailable for ${lang}:`, error);
+        })));
+    }
+
+    /**
+     * Fetch one namespace bundle and merge it into the language's translations
+     * @private
+     */
+    _loadNamespaceBundle(lang, namespace) {
+        const id = `${lang}/${namespace}`;
+
+        if (this.namespaceState.get(id) === 'loaded') {
+            return Promise.resolve(this.translations[lang]);
+        }
+
+        // Not translated yet for this locale: its keys resolve through the fallback chain
+        if (this.manifest && !this.isPseudoLocale(lang) && !this.manifest.hasNamespace(lang, namespace)) {
+            this.translations[lang] = this.translations[lang] || {};
+            this.namespaceState.set(id, 'loaded');
+            return Promise.resolve(this.translations[lang]);
+        }
+
+        if (this.translationPromises.has(id)) {
+            return this.translationPromises.get(id);
+        }
+
+        const promise = this._loadBundle(lang, namespace)
+            .then(bundle => {
+                // Each namespace owns its top-level sections, so a shallow merge is enough
+                this.translations[lang] = { ...this.translations[lang], ...bundle };
+                this.cache.set(`translations_${id}`, bundle);
+                this.namespaceState.set(id, 'loaded');
+                this.emit('loaded', { language: lang, namespace });
+                return this.translations[lang];
+            }, error => {
+                this.namespaceState.set(id, 'failed');
+                this.emit('error', { language: lang, namespace, phase: 'load', error });
+                throw error;
+            })
+            .finally(() => {
+                this.translationPromises.delete(id);
+            });
+
+        this.namespaceState.set(id, 'loading');
+        this.translationPromises.set(id, promise);
+        this.emit('loading', { language: lang, namespace });
+        return promise;
+    }
+
+    /**
+     * Load namespaces on demand (e.g. just before a section is revealed).
+     * Failures are logged; their keys resolve along the fallback chain.
+     * @param {string[]} namespaces - Namespace names, e.g. ['faq']
+     * @param {string} lang - Language code (defaults to the current language)
+     */
+    async loadNamespaces(namespaces, lang = this.currentLanguage) {
+        const pending = namespaces.filter(namespace => !this.isNamespaceLoaded(namespace, lang));
+        if (!this.namespaces || pending.length === 0) return;
+
+        try {
+            await this.loadTranslations(lang, pending);
+        } catch (error) {
+            console.warn(`Failed to load namespaces ${pending.join(', ')} for ${lang}:`, error);
+        }
+
+        this.emit('namespacesLoaded', { language: lang, namespaces: pending });
+    }
+
+    /**
+     * Load a single namespace on demand
+     */
+    loadNamespace(namespace, lang = this.currentLanguage) {
+        return this.loadNamespaces([namespace], lang);
+    }
+
+    /**
+     * Check whether a namespace is loaded for a language
+     */
+    isNamespaceLoaded(namespace, lang = this.currentLanguage) {
+        if (!this.namespaces) {
+            return Boolean(this.translations[lang]);
+        }
+        return this.namespaceState.get(`${lang}/${namespace}`) === 'loaded';
+    }
+
+    /**
+     * Get the namespaces loaded for a language
+     */
+    getLoadedNamespaces(lang = this.currentLanguage) {
+        const loaded = (this.namespaces || []).filter(namespace => this.isNamespaceLoaded(namespace, lang));
+        return loaded.length > 0 ? loaded : [...this.initialNamespaces];
+    }
+
+    /**
+     * Get the per-key lookup order for a language, e.g. es-MX → es → en-SG
+     * @param {string} lang - Language code
+     * @returns {string[]}
+     */
+    getFallbackChain(lang = this.currentLanguage) {
+        const chain = this.fallbackChains[lang] || [lang.split('-')[0]];
+        return [...new Set([lang, ...chain, this.fallbackLanguage])];
+    }
+
+    /**
+     * Load a bundle from the persistent store when a copy for this cache
+     * version exists (revalidating it in the background), else from the server
+     * @private
+     */
+    async _loadBundle(lang, namespace = null) {
+        if (this.isPseudoLocale(lang)) {
+            return this._loadPseudoBundle(namespace);
+        }
+
+        const id = namespace ? `${lang}/${namespace}` : lang;
+        const store = this._getStore();
+        const cached = store ? await store.get(id) : null;
+
+        if (cached && cached.version === this.cacheVersion) {
+            this._revalidateBundle(lang, namespace, cached.hash);
+            return cached.data;
+        }
+
+        const data = await this._fetchTranslations(lang, namespace);
+
+        // Never persist the fallback language's strings under another language
+        if (store && data !== this.translations[this.fallbackLanguage]) {
+            this._persistBundle(id, data);
+        }
+
+        return data;
+    }
+
+    /**
+     * Build a pseudo-locale bundle from the fallback language's strings; it is
+     * generated on every load, never fetched or persisted
+     * @private
+     */
+    async _loadPseudoBundle(namespace) {
+        const localizer = this._getPseudoLocalizer();
+        if (!localizer) {
+            throw new Error('Pseudo-localization needs pseudo-localizer.js');
+        }
+
+        // Load the source through the normal path so it doubles as the fallback bundle
+        let source;
+        if (namespace) {
+            await this._loadNamespaceBundle(this.fallbackLanguage, namespace);
+            source = this.cache.get(`translations_${this.fallbackLanguage}/${namespace}`) || {};
+        } else {
+            source = await this.loadTranslations(this.fallbackLanguage);
+        }
+
+        return localizer.localizeBundle(source);
+    }
+
+    /**
+     * Whether a language is the generated pseudo-locale
+     * @param {string} lang - Language code
+     */
+    isPseudoLocale(lang) {
+        return Boolean(this.pseudoLocale) && lang === this.pseudoLocale;
+    }
+
+    /**
+     * Resolve the pseudo-localizer (option, global script or CommonJS module)
+     * @private
+     */
+    _getPseudoLocalizer() {
+        if (!this.pseudoLocalizer) {
+            const Localizer = this._resolveModule('PseudoLocalizer', './pseudo-localizer');
+            this.pseudoLocalizer = Localizer ? new Localizer() : null;
+        }
+
+        return this.pseudoLocalizer;
+    }
+
+    /**
+     * Fetch a cached bundle again and swap in newer strings (stale-while-revalidate)
+     * @private
+     */
+    async _revalidateBundle(lang, namespace, cachedHash) {
+        const id = namespace ? `${lang}/${namespace}` : lang;
+        if (this.revalidated.has(id)) return;
+        this.revalidated.add(id);
+
+        try {
+            const data = await this._fetchTranslations(lang, namespace);
+
+            // A failed fetch hands back the fallback language's bundle; keep the cached copy
+            if (data === this.translations[this.fallbackLanguage]) return;
+
+            const hash = this._hashBundle(data);
+            if (hash === cachedHash) return;
+
+            this._persistBundle(id, data);
+
+            this.translations[lang] = namespace ? { ...this.translations[lang], ...data } : data;
+            this.cache.set(`translations_${id}`, data);
+
+            if (lang === this.currentLanguage && typeof document !== 'undefined') {
+                this.updateDOM();
+            }
+
+            this.emit('languageUpdated', { language: lang, namespace, hash });
+        } catch (error) {
+            // Keep serving the cached copy
+            console.warn(`Failed to revalidate translations ${id}:`, error);
+        }
+    }
+
+    /**
+     * Write a bundle to the persistent store
+     * @private
+     * @returns {string} Content hash of the bundle
+     */
+    _persistBundle(id, data) {
+        const store = this._getStore();
+        const hash = this._hashBundle(data);
+
+        if (store) {
+            store.set(id, { data, hash, version: this.cacheVersion }).catch(error => {
+                console.warn(`Failed to persist translations ${id}:`, error);
+            });
+        }
+
+        return hash;
+    }
+
+    /**
+     * Hash a bundle's content
+     * @private
+     */
+    _hashBundle(data) {
+        const Store = this._resolveModule('TranslationStore', './translation-store');
+        return Store ? Store.hash(JSON.stringify(data)) : JSON.stringify(data);
+    }
+
+    /**
+     * Resolve the persistent translation store when persistCache is on
+     * @private
+     */
+    _getStore() {
+        if (!this.store && this.persistCache) {
+            const Store = this._resolveModule('TranslationStore', './translation-store');
+
+            if (Store) {
+                this.store = new Store();
+            } else {
+                console.warn('TranslationStore not loaded, translations will not be persisted');
+                this.persistCache = false;
+            }
+        }
+
+        return this.store;
+    }
+
+    /**
+     * Find a helper class loaded as a global script or as a CommonJS module
+     * @private
+     */
+    _resolveModule(globalName, modulePath) {
+        if (typeof window !== 'undefined' && window[globalName]) {
+            return window[globalName];
+        }
+
+        if (typeof require === 'function') {
+            try {
+                return require(modulePath);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Fetch translations from server
      * @private
      */
-    async _fetchTranslations(lang) {
-        const url = `${this.basePath}${lang}.json`;
+    async _fetchTranslations(lang, namespace = null) {
+        const url = namespace
+            ? `${this.basePath}${lang}/${namespace}.json`
+            : `${this.basePath}${lang}.json`;
         console.log(`🌐 LOADING TRANSLATIONS: ${url}`);
         
         try {
+            if (this.loader) {
+                return await this.loader(url, { language: lang, namespace });
+            }
+
             const response = await fetch(url);
             console.log(`🌐 FETCH RESPONSE:`, {
                 url,
@@ -107,8 +476,8 @@ class I18n {
         } catch (error) {
             console.error(`🚫 FAILED TO LOAD TRANSLATIONS FOR ${lang}:`, error);
             
-            // Return fallback translations if available
-            if (lang !== this.fallbackLanguage && this.translations[this.fallbackLanguage]) {
+            // Return fallback translations if available (namespaced keys fall back per key instead)
+            if (!namespace && lang !== this.fallbackLanguage && this.translations[this.fallbackLanguage]) {
                 console.log(`Using fallback translations for ${lang}`);
                 return this.translations[this.fallbackLanguage];
             }
@@ -118,150 +487,956 @@ class I18n {
     }
 
     /**
-     * Get translation for a key
-     * @param {string} key - Translation key (e.g., 'nav.home')
-     * @param {Object} params - Interpolation parameters
-     * @param {string} lang - Language code (optional, uses current language)
+     * Get translation for a key
+     * @param {string} key - Translation key (e.g., 'nav.home')
+     * @param {Object} params - Interpolation parameters
+     * @param {string} lang - Language code (optional, uses current language)
+     */
+    translate(key, params = {}, lang = null) {
+        const targetLang = lang || this.currentLanguage;
+        const resolved = this._resolveKey(key, targetLang);
+
+        if (!resolved) {
+            const replacement = this._handleMissingKey(key, targetLang);
+            return replacement !== undefined ? replacement : key; // Return key as fallback
+        }
+
+        const { value: translation, language } = resolved;
+
+        if (typeof translation !== 'string') {
+            return translation;
+        }
+
+        // Format with the rules of the language the string was written in
+        const message = this._formatMessage(translation, params, language);
+
+        if (Object.keys(params).length > 0) {
+            return this._interpolate(message, params, language);
+        }
+
+        return message;
+    }
+
+    /**
+     * Check whether a key resolves anywhere in the language's fallback chain
+     * @param {string} key - Translation key
+     * @param {string} lang - Language code (optional, uses current language)
+     */
+    hasTranslation(key, lang = null) {
+        return this._resolveKey(key, lang || this.currentLanguage) !== null;
+    }
+
+    /**
+     * Look a key up along the fallback chain
+     * @private
+     * @returns {{value: *, language: string}|null}
+     */
+    _resolveKey(key, lang) {
+        for (const code of this.getFallbackChain(lang)) {
+            const translations = this.translations[code] || this.criticalTranslations[code];
+            if (!translations) continue;
+
+            const value = this._getNestedProperty(translations, key);
+            if (value !== undefined) {
+                return { value, language: code };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Report a key missing from the whole fallback chain
+     * @private
+     * @returns {string|undefined} Replacement from the onMissingKey hook
+     */
+    _handleMissingKey(key, lang) {
+        const chain = this.getFallbackChain(lang);
+        const id = `${lang}:${key}`;
+
+        if (!this.missingKeys.has(id)) {
+            this.missingKeys.add(id);
+            console.warn(`Missing translation for key: ${key} in language: ${lang} (chain: ${chain.join(' → ')})`);
+            this.emit('missingKey', { key, language: lang, chain });
+        }
+
+        if (typeof this.onMissingKey === 'function') {
+            try {
+                const replacement = this.onMissingKey(key, lang, chain);
+                if (typeof replacement === 'string') {
+                    return replacement;
+                }
+            } catch (error) {
+                console.error('Error in onMissingKey handler:', error);
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Alias for translate method
+     */
+    t = this.translate.bind(this);
+
+    /**
+     * Get nested object property by dot notation
+     * @private
+     */
+    _getNestedProperty(obj, path) {
+        return path.split('.').reduce((current, key) => {
+            return current && current[key] !== undefined ? current[key] : undefined;
+        }, obj);
+    }
+
+    /**
+     * Interpolate parameters into translation string
+     * Supports typed placeholders: {{n, number}}, {{n, number:2}}, {{n, integer}},
+     * {{share, percent}}, {{price, currency:SGD}}, {{shipDate, date:long}}, {{at, time:short}}
+     * @private
+     */
+    _interpolate(str, params, lang = this.currentLanguage) {
+        return str.replace(this.interpolationRegex, (match, placeholder) => {
+            const [name, format] = placeholder.split(',').map(part => part.trim());
+            const value = params[name];
+
+            if (value === undefined || value === null) {
+                return match;
+            }
+
+            return format ? this._formatValue(value, format, lang) : value;
+        });
+    }
+
+    /**
+     * Format a value for a typed placeholder ("percent", "currency:SGD", "date:long")
+     * @private
+     */
+    _formatValue(value, format, lang) {
+        const [type, arg] = format.split(':').map(part => part.trim());
+
+        // Non-numeric values ("", "abc") are shown as given rather than as 0 or NaN
+        const number = Number(value);
+        if (['number', 'integer', 'percent', 'currency'].includes(type) && (String(value).trim() === '' || !Number.isFinite(number))) {
+            return value;
+        }
+
+        try {
+            switch (type) {
+                case 'number':
+                    return this._getFormatter('number', lang, arg !== undefined
+                        ? { minimumFractionDigits: Number(arg), maximumFractionDigits: Number(arg) }
+                        : {}).format(number);
+                case 'integer':
+                    return this._getFormatter('number', lang, { maximumFractionDigits: 0 }).format(number);
+                case 'percent':
+                    return this._getFormatter('number', lang, {
+                        style: 'percent',
+                        maximumFractionDigits: arg !== undefined ? Number(arg) : 0
+                    }).format(number);
+                case 'currency':
+                    return this._getFormatter('number', lang, {
+                        style: 'currency',
+                        currency: (arg || 'SGD').toUpperCase()
+                    }).format(number);
+                case 'date':
+                    return this._getFormatter('date', lang, { dateStyle: arg || 'medium' }).format(this._toDate(value));
+                case 'time':
+                    return this._getFormatter('date', lang, { timeStyle: arg || 'short' }).format(this._toDate(value));
+                case 'datetime':
+                    return this._getFormatter('date', lang, { dateStyle: arg || 'medium', timeStyle: 'short' }).format(this._toDate(value));
+                default:
+                    console.warn(`Unknown placeholder format "${format}"`);
+                    return value;
+            }
+        } catch (error) {
+            console.warn(`Failed to format ${value} as ${format} for ${lang}:`, error);
+            return value;
+        }
+    }
+
+    /**
+     * Get a cached Intl.NumberFormat / Intl.DateTimeFormat instance
+     * @private
+     */
+    _getFormatter(kind, lang, options = {}) {
+        const cacheKey = `${kind}:${lang}:${JSON.stringify(options)}`;
+
+        if (!this.formatters.has(cacheKey)) {
+            const Formatter = kind === 'date' ? Intl.DateTimeFormat : Intl.NumberFormat;
+            this.formatters.set(cacheKey, new Formatter(lang, options));
+        }
+
+        return this.formatters.get(cacheKey);
+    }
+
+    /**
+     * Accept Date objects, timestamps and ISO strings as date values
+     * @private
+     */
+    _toDate(value) {
+        const date = value instanceof Date ? value : new Date(value);
+
+        if (isNaN(date.getTime())) {
+            throw new RangeError(`Invalid date: ${value}`);
+        }
+
+        return date;
+    }
+
+    /**
+     * Resolve ICU-style plural, selectordinal and select arguments
+     * e.g. "{count, plural, one {# variety} other {# varieties}}"
+     * or "{gender, select, female {Bienvenida} other {Bienvenido}}"
+     * @private
+     */
+    _formatMessage(str, params, lang) {
+        if (str.indexOf('{') === -1) {
+            return str;
+        }
+
+        return this._renderMessage(str, params, lang, null);
+    }
+
+    /**
+     * Render a message, replacing ICU arguments with their selected branch
+     * @private
+     */
+    _renderMessage(str, params, lang, pluralValue) {
+        let output = '';
+        let pos = 0;
+
+        while (pos < str.length) {
+            const char = str[pos];
+
+            // Leave {{placeholders}} for _interpolate
+            if (char === '{' && str[pos + 1] === '{') {
+                const end = str.indexOf('}}', pos + 2);
+                const next = end === -1 ? str.length : end + 2;
+                output += str.slice(pos, next);
+                pos = next;
+                continue;
+            }
+
+            if (char === '{') {
+                const match = str.slice(pos).match(this.icuArgumentRegex);
+                const end = match ? this._findClosingBrace(str, pos) : -1;
+
+                if (match && end !== -1) {
+                    const body = str.slice(pos + match[0].length, end);
+                    output += this._renderArgument(str.slice(pos, end + 1), match[1], match[2], body, params, lang, pluralValue);
+                    pos = end + 1;
+                    continue;
+                }
+            }
+
+            // "#" inside a plural branch is the (offset) count
+            if (char === '#' && pluralValue !== null) {
+                output += pluralValue;
+                pos++;
+                continue;
+            }
+
+            output += char;
+            pos++;
+        }
+
+        return output;
+    }
+
+    /**
+     * Render a single plural/selectordinal/select argument; a select keeps the
+     * enclosing plural's "#" value
+     * @private
+     */
+    _renderArgument(source, name, type, body, params, lang, pluralValue = null) {
+        const value = params[name];
+
+        if (value === undefined || value === null) {
+            return source; // Keep the raw argument, like a missing {{placeholder}}
+        }
+
+        const { options, offset } = this._parseOptions(body);
+
+        if (type === 'select') {
+            const branch = options[String(value)] ?? options.other;
+            return branch === undefined ? source : this._renderMessage(branch, params, lang, pluralValue);
+        }
+
+        const number = Number(value);
+        const exact = options[`=${number}`];
+        const category = this._getPluralCategory(number - offset, lang, type === 'selectordinal' ? 'ordinal' : 'cardinal');
+        const branch = exact ?? options[category] ?? options.other;
+
+        const count = this._getFormatter('number', lang).format(number - offset);
+
+        return branch === undefined ? source : this._renderMessage(branch, params, lang, count);
+    }
+
+    /**
+     * Split "one {...} other {...}" into a selector -> branch map
+     * @private
+     */
+    _parseOptions(body) {
+        const options = {};
+        let offset = 0;
+        let pos = 0;
+
+        while (pos < body.length) {
+            const selectorMatch = body.slice(pos).match(/^\s*(offset:\s*\d+|=?[\w-]+)\s*/);
+            if (!selectorMatch) break;
+
+            const selector = selectorMatch[1];
+            pos += selectorMatch[0].length;
+
+            if (selector.startsWith('offset:')) {
+                offset = parseInt(selector.slice(7), 10);
+                continue;
+            }
+
+            if (body[pos] !== '{') break;
+
+            const end = this._findClosingBrace(body, pos);
+            if (end === -1) break;
+
+            options[selector] = body.slice(pos + 1, end);
+            pos = end + 1;
+        }
+
+        return { options, offset };
+    }
+
+    /**
+     * Find the brace closing the one opened at `start`
+     * @private
+     */
+    _findClosingBrace(str, start) {
+        let depth = 0;
+
+        for (let i = start; i < str.length; i++) {
+            if (str[i] === '{') depth++;
+            if (str[i] === '}' && --depth === 0) return i;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Get the CLDR plural category for a number, with cached Intl.PluralRules
+     * @private
+     */
+    _getPluralCategory(number, lang, type = 'cardinal') {
+        const cacheKey = `${lang}:${type}`;
+
+        if (!this.pluralRules.has(cacheKey)) {
+            try {
+                this.pluralRules.set(cacheKey, new Intl.PluralRules(lang, { type }));
+            } catch (error) {
+                console.warn(`Intl.PluralRules unavailable for ${lang}:`, error);
+                this.pluralRules.set(cacheKey, null);
+            }
+        }
+
+        const rules = this.pluralRules.get(cacheKey);
+        if (!rules) {
+            return number === 1 ? 'one' : 'other';
+        }
+
+        return rules.select(number);
+    }
+
+    /**
+     * Translate the page synchronously from a critical bundle (e.g. meta, nav
+     * and hero inlined in the HTML) before the full bundles arrive. Keys it
+     * lacks keep the markup's text until init() has loaded everything
+     * @param {Object} bundles - Partial translations by language, e.g. { 'es-MX': { nav: {...} } }
+     * @returns {boolean} Whether the current language had a critical bundle
+     */
+    applyCriticalBundle(bundles = {}) {
+        if (!bundles[this.currentLanguage]) {
+            return false;
+        }
+
+        this.getFallbackChain(this.currentLanguage)
+            .filter(code => bundles[code])
+            .forEach(code => {
+                this.criticalTranslations[code] = bundles[code];
+            });
+
+        this.updateHtmlLang();
+        this.updateDOM(document, { sync: true });
+        this.emit('critical', { language: this.currentLanguage, sections: Object.keys(bundles[this.currentLanguage]) });
+
+        return true;
+    }
+
+    /**
+     * Reveal regions marked i18n-cloak (attribute or class) and drop the
+     * i18n-loading class that the inline script in <head> puts on <html>
+     * while translations load; that script also uncloaks after a timeout
+     * @param {Document} root - Document to reveal
+     */
+    static uncloak(root = typeof document !== 'undefined' ? document : null) {
+        if (!root) return;
+
+        root.querySelectorAll('[i18n-cloak], .i18n-cloak').forEach(element => {
+            element.removeAttribute('i18n-cloak');
+            if (element.classList.contains('i18n-cloak')) {
+                element.classList.remove('i18n-cloak');
+            }
+        });
+
+        if (root.documentElement && root.documentElement.classList.contains('i18n-loading')) {
+            root.documentElement.classList.remove('i18n-loading');
+        }
+    }
+
+    /**
+     * Read a JSON payload inlined as <script type="application/json" id="...">
+     * @param {string} id - Element id
+     * @param {Document} root - Document to read from
+     * @returns {Object|null}
+     */
+    static readInlineJson(id = 'i18n-critical', root = document) {
+        const script = root.querySelector(`script#${id}`);
+        if (!script) return null;
+
+        try {
+            return JSON.parse(script.textContent);
+        } catch (error) {
+            console.warn(`Invalid inline JSON in #${id}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Change current language
+     * @param {string} lang - New language code
+     */
+    async setLanguage(lang) {
+        if (!this.isLanguageSupported(lang)) {
+            console.warn(`Unsupported language: ${lang}. Using fallback: ${this.fallbackLanguage}`);
+            lang = this.fallbackLanguage;
+        }
+
+        if (lang === this.currentLanguage) {
+            return; // No change needed
+        }
+
+        try {
+            // Load new language if not already loaded, including any namespaces revealed so far
+            await this.loadTranslations(lang, this.getLoadedNamespaces(this.currentLanguage));
+            
+            const previousLanguage = this.currentLanguage;
+            this.currentLanguage = lang;
+            
+            // Update DOM (written now, so languageChanged also fires in a background tab)
+            this.updateHtmlLang();
+            await this.updateDOM(document, { sync: true });
+            
+            // Emit language change event
+            this.emit('languageChanged', {
+                previous: previousLanguage,
+                current: lang,
+                translations: this.translations[lang]
+            });
+            
+        } catch (error) {
+            console.error(`Failed to set language to ${lang}:`, error);
+            this.emit('error', { language: lang, phase: 'setLanguage', error });
+            throw error;
+        }
+    }
+
+    /**
+     * Update HTML lang attribute
+     */
+    updateHtmlLang() {
+        document.documentElement.lang = this.currentLanguage;
+        document.documentElement.dir = this.manifest
+            ? this.manifest.getDirection(this.currentLanguage)
+            : this.translate('meta.direction') || 'ltr';
+    }
+
+    /**
+     * Update all DOM elements with data-i18n / data-i18n-attr attributes.
+     * Writes are batched into the next animation frame (immediately where
+     * there is none, e.g. in Node) and skipped when the value is unchanged
+     * @param {Element|Document} root - Limit the update to a subtree
+     * @param {Object} options - { sync: true } to write before returning
+     * @returns {Promise} Resolves once the writes are done
+     */
+    updateDOM(root = document, options = {}) {
+        const elements = this._getElements(root);
+        elements.forEach(element => this.pendingElements.add(element));
+
+        return this._scheduleFlush(options.sync).then(() => {
+            // Update language selector if it exists
+            this._updateLanguageSelector();
+
+            console.log(`✅ DOM UPDATE COMPLETE for language: ${this.currentLanguage} (${elements.length} elements)`);
+        });
+    }
+
+    /**
+     * Update only the elements that use the given keys (e.g. after editing one string)
+     * @param {string[]} keys - Translation keys
+     * @returns {Promise} Resolves once the writes are done
+     */
+    updateKeys(keys) {
+        const wanted = new Set(keys);
+        const elements = this._ensureIndex()
+            ? keys.flatMap(key => [...(this.elementIndex.get(key) || [])])
+            : this._getElements(document).filter(element => this._getElementKeys(element).some(key => wanted.has(key)));
+
+        elements.forEach(element => this.pendingElements.add(element));
+        return this._scheduleFlush();
+    }
+    
+    /**
+     * Force page update (public method for debugging)
+     */
+    updatePage() {
+        console.log('🔄 FORCING PAGE UPDATE...');
+        return this.updateDOM();
+    }
+
+    /**
+     * Translate data-i18n nodes as they are added or re-keyed
+     * @param {Element} root - Subtree to watch (defaults to document.body)
+     */
+    observe(root = document.body) {
+        if (this.observer) return;
+
+        if (typeof MutationObserver === 'undefined') {
+            console.warn('MutationObserver not supported, call updatePage() after DOM changes');
+            return;
+        }
+
+        // The observer keeps the key → elements index current from here on
+        this._stopIndexObserver();
+        this._buildIndex();
+
+        this.observer = new MutationObserver(mutations => this._handleMutations(mutations));
+        this.observer.observe(root, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: this.observedAttributes
+        });
+    }
+
+    /**
+     * Stop observing the DOM and drop any queued updates
+     */
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        if (this.pendingFrame !== null) {
+            cancelAnimationFrame(this.pendingFrame);
+            this.pendingFrame = null;
+        }
+
+        this._stopIndexObserver();
+        this.pendingElements.clear();
+        this.elementIndex.clear();
+        this.elementKeys.clear();
+        this.indexBuilt = false;
+
+        // Nothing left to write: settle callers waiting for the frame
+        if (this.pendingFlush) {
+            this.pendingFlush.resolve();
+            this.pendingFlush = null;
+        }
+    }
+
+    /**
+     * Translatable elements under root: from the index for the whole
+     * document, else (or without MutationObserver) by querying
+     * @private
+     */
+    _getElements(root) {
+        if (root === document && this._ensureIndex()) {
+            return [...this.elementKeys.keys()];
+        }
+
+        const elements = [...root.querySelectorAll(this.elementSelector)];
+        if (root.matches && root.matches(this.elementSelector)) {
+            elements.unshift(root);
+        }
+        return elements;
+    }
+
+    /**
+     * Keys an element uses through data-i18n and data-i18n-attr
+     * @private
+     */
+    _getElementKeys(element) {
+        const keys = this._getElementAttributeKeys(element).map(({ key }) => key);
+        const key = element.getAttribute('data-i18n');
+        return key ? [key, ...keys] : keys;
+    }
+
+    /**
+     * Build the index on first use and apply mutations not yet delivered to
+     * the observer callbacks, so it matches the DOM right now
+     * @private
+     * @returns {boolean} Whether the index can be used
+     */
+    _ensureIndex() {
+        if (typeof MutationObserver === 'undefined') return false;
+
+        if (this.observer) {
+            this._handleMutations(this.observer.takeRecords());
+            return true;
+        }
+
+        if (this.indexObserver) {
+            this._applyIndexMutations(this.indexObserver.takeRecords());
+        }
+
+        if (!this.indexBuilt) {
+            this._buildIndex();
+            this.indexObserver = new MutationObserver(mutations => this._applyIndexMutations(mutations));
+            this.indexObserver.observe(document.documentElement, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: this.observedAttributes
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _stopIndexObserver() {
+        if (this.indexObserver) {
+            this.indexObserver.disconnect();
+            this.indexObserver = null;
+        }
+    }
+
+    /**
+     * Index every translatable element of the document by key
+     * @private
+     */
+    _buildIndex() {
+        this.elementIndex.clear();
+        this.elementKeys.clear();
+        document.querySelectorAll(this.elementSelector).forEach(element => this._indexElement(element));
+        this.indexBuilt = true;
+    }
+
+    /**
+     * Add an element to the index, or re-index it after its keys changed
+     * @private
+     */
+    _indexElement(element) {
+        this._unindexElement(element);
+        if (!element.matches(this.elementSelector)) return;
+
+        const keys = this._getElementKeys(element);
+        this.elementKeys.set(element, keys);
+        keys.forEach(key => {
+            if (!this.elementIndex.has(key)) {
+                this.elementIndex.set(key, new Set());
+            }
+            this.elementIndex.get(key).add(element);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _unindexElement(element) {
+        const keys = this.elementKeys.get(element);
+        if (!keys) return;
+
+        keys.forEach(key => {
+            const elements = this.elementIndex.get(key);
+            if (!elements) return;
+
+            elements.delete(element);
+            if (elements.size === 0) {
+                this.elementIndex.delete(key);
+            }
+        });
+        this.elementKeys.delete(element);
+    }
+
+    /**
+     * Keep the index current and queue elements touched by a batch of mutations
+     * @private
+     */
+    _handleMutations(mutations) {
+        this._applyIndexMutations(mutations).forEach(element => this.pendingElements.add(element));
+
+        if (this.pendingElements.size > 0) {
+            this._scheduleFlush();
+        }
+    }
+
+    /**
+     * Apply a batch of mutations to the index
+     * @private
+     * @returns {Element[]} Translatable elements added or re-keyed
+     */
+    _applyIndexMutations(mutations) {
+        const touched = [];
+
+        mutations.forEach(mutation => {
+            if (mutation.type === 'attributes') {
+                this._indexElement(mutation.target);
+                touched.push(mutation.target);
+                return;
+            }
+
+            mutation.removedNodes.forEach(node => {
+                if (node.nodeType !== 1) return; // Elements only
+
+                this._unindexElement(node);
+                node.querySelectorAll(this.elementSelector).forEach(element => this._unindexElement(element));
+            });
+
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return; // Elements only
+
+                if (node.matches(this.elementSelector)) {
+                    this._indexElement(node);
+                    touched.push(node);
+                }
+                node.querySelectorAll(this.elementSelector).forEach(element => {
+                    this._indexElement(element);
+                    touched.push(element);
+                });
+            });
+        });
+
+        return touched;
+    }
+
+    /**
+     * Write the queued elements in the next animation frame, once per frame
+     * @private
+     * @param {boolean} sync - Write now instead
+     * @returns {Promise} Resolves after the write
      */
-    translate(key, params = {}, lang = null) {
-        const targetLang = lang || this.currentLanguage;
-        const translations = this.translations[targetLang] || this.translations[this.fallbackLanguage] || {};
-        
-        // Get nested property
-        const translation = this._getNestedProperty(translations, key);
-        
-        if (translation === undefined) {
-            console.warn(`Missing translation for key: ${key} in language: ${targetLang}`);
-            return key; // Return key as fallback
+    _scheduleFlush(sync = false) {
+        // Hidden tabs get no animation frames
+        const hidden = typeof document !== 'undefined' && document.hidden === true;
+
+        if (sync || hidden || typeof requestAnimationFrame !== 'function') {
+            if (this.pendingFrame !== null) {
+                cancelAnimationFrame(this.pendingFrame);
+                this.pendingFrame = null;
+            }
+            this._flushPendingElements();
+            return Promise.resolve();
         }
-        
-        // Handle interpolation
-        if (typeof translation === 'string' && Object.keys(params).length > 0) {
-            return this._interpolate(translation, params);
+
+        if (!this.pendingFlush) {
+            let resolve;
+            const promise = new Promise(done => { resolve = done; });
+            this.pendingFlush = { promise, resolve };
+            this.pendingFrame = requestAnimationFrame(() => this._flushPendingElements());
         }
-        
-        return translation;
+
+        return this.pendingFlush.promise;
     }
 
     /**
-     * Alias for translate method
+     * Translate everything queued since the last animation frame
+     * @private
      */
-    t = this.translate.bind(this);
+    _flushPendingElements() {
+        const elements = [...this.pendingElements];
+        const flush = this.pendingFlush;
+        this.pendingFrame = null;
+        this.pendingFlush = null;
+        this.pendingElements.clear();
+
+        elements.forEach(element => {
+            if (element.isConnected) {
+                this._updateElement(element);
+            } else {
+                this._unindexElement(element);
+            }
+        });
+
+        if (flush) {
+            flush.resolve();
+        }
+    }
 
     /**
-     * Get nested object property by dot notation
+     * Update single DOM element
      * @private
      */
-    _getNestedProperty(obj, path) {
-        return path.split('.').reduce((current, key) => {
-            return current && current[key] !== undefined ? current[key] : undefined;
-        }, obj);
+    _updateElement(element) {
+        const params = this._getElementParams(element);
+        // Keys of a namespace (or of the full bundle, while only critical strings are in) that is still loading are not missing yet
+        const deferred = Boolean(this.criticalTranslations[this.currentLanguage]) || !this._isElementNamespaceLoaded(element);
+
+        if (element.hasAttribute('data-i18n')) {
+            this._updateElementContent(element, params, deferred);
+        }
+
+        if (element.hasAttribute('data-i18n-attr')) {
+            this._updateElementAttributes(element, params, deferred);
+        }
     }
 
     /**
-     * Interpolate parameters into translation string
+     * Check the namespaces declared by the element's closest data-i18n-ns scope
      * @private
      */
-    _interpolate(str, params) {
-        return str.replace(this.interpolationRegex, (match, key) => {
-            const trimmedKey = key.trim();
-            return params[trimmedKey] !== undefined ? params[trimmedKey] : match;
-        });
+    _isElementNamespaceLoaded(element) {
+        if (!this.namespaces || !element.closest) return true;
+
+        const scope = element.closest('[data-i18n-ns]');
+        if (!scope) return true;
+
+        return scope.getAttribute('data-i18n-ns')
+            .split(/\s+/)
+            .filter(Boolean)
+            .every(namespace => this.isNamespaceLoaded(namespace));
     }
 
     /**
-     * Change current language
-     * @param {string} lang - New language code
+     * Write the data-i18n translation into the element's content
+     * @private
      */
-    async setLanguage(lang) {
-        if (!this.supportedLanguages.includes(lang)) {
-            console.warn(`Unsupported language: ${lang}. Using fallback: ${this.fallbackLanguage}`);
-            lang = this.fallbackLanguage;
+    _updateElementContent(element, params, deferred = false) {
+        const key = element.getAttribute('data-i18n');
+        if (deferred && !this.hasTranslation(key)) {
+            return;
         }
 
-        if (lang === this.currentLanguage) {
-            return; // No change needed
+        const translation = this.translate(key, params);
+
+        // Keep the markup's own text rather than showing a raw key
+        if (translation === key && !this.hasTranslation(key)) {
+            return;
         }
 
-        try {
-            // Load new language if not already loaded
-            await this.loadTranslations(lang);
-            
-            const previousLanguage = this.currentLanguage;
-            this.currentLanguage = lang;
-            
-            // Update DOM
-            this.updateHtmlLang();
-            this.updateDOM();
-            
-            // Emit language change event
-            this.emit('languageChanged', {
-                previous: previousLanguage,
-                current: lang,
-                translations: this.translations[lang]
-            });
-            
-        } catch (error) {
-            console.error(`Failed to set language to ${lang}:`, error);
-            throw error;
+        // Handle different element types; unchanged values are not rewritten
+        if (element.tagName === 'INPUT') {
+            const property = element.type === 'submit' || element.type === 'button' ? 'value' : 'placeholder';
+            if (element[property] !== translation) {
+                element[property] = translation;
+            }
+        } else if (element.tagName === 'META') {
+            if (element.getAttribute('content') !== translation) {
+                element.setAttribute('content', translation);
+            }
+        } else if (element.hasAttribute('data-i18n-html')) {
+            this._setElementHtml(element, translation);
+        } else if (element.textContent !== translation) {
+            // Use textContent for better XSS protection
+            element.textContent = translation;
         }
     }
 
     /**
-     * Update HTML lang attribute
+     * Render an allowlisted rich-text translation (data-i18n-html)
+     * @private
      */
-    updateHtmlLang() {
-        document.documentElement.lang = this.currentLanguage;
-        document.documentElement.dir = this.translate('meta.direction') || 'ltr';
+    _setElementHtml(element, translation) {
+        const sanitizer = this._getSanitizer();
+
+        if (!sanitizer) {
+            // Without a sanitizer never touch innerHTML
+            console.warn('HtmlSanitizer not loaded, rendering data-i18n-html as text');
+            element.textContent = String(translation).replace(/<[^>]*>/g, '');
+            return;
+        }
+
+        const html = sanitizer.sanitize(translation);
+        if (element.innerHTML !== html) {
+            element.innerHTML = html;
+        }
     }
 
     /**
-     * Update all DOM elements with data-i18n attributes
+     * Sanitize a rich-text translation without writing it to the DOM
      */
-    updateDOM() {
-        const elements = document.querySelectorAll('[data-i18n]');
-        console.log(`🔄 UPDATING DOM: Found ${elements.length} elements with data-i18n`);
-        
-        elements.forEach((element, index) => {
-            const key = element.getAttribute('data-i18n');
-            console.log(`🔄 Element ${index + 1}: ${key} ->`, element);
-            this._updateElement(element);
-        });
-        
-        // Update language selector if it exists
-        this._updateLanguageSelector();
-        
-        console.log(`✅ DOM UPDATE COMPLETE for language: ${this.currentLanguage}`);
+    sanitizeHtml(html) {
+        const sanitizer = this._getSanitizer();
+        return sanitizer ? sanitizer.sanitize(html) : String(html).replace(/<[^>]*>/g, '');
     }
-    
+
     /**
-     * Force page update (public method for debugging)
+     * Resolve the HTML sanitizer (option, global script or CommonJS module)
+     * @private
      */
-    updatePage() {
-        console.log('🔄 FORCING PAGE UPDATE...');
-        this.updateDOM();
+    _getSanitizer() {
+        if (!this.sanitizer) {
+            const Sanitizer = this._resolveModule('HtmlSanitizer', './html-sanitizer');
+            this.sanitizer = Sanitizer ? new Sanitizer() : null;
+        }
+
+        return this.sanitizer;
     }
 
     /**
-     * Update single DOM element
+     * Translate attributes listed as data-i18n-attr="alt:products.avocado.alt;title:nav.home"
      * @private
      */
-    _updateElement(element) {
-        const key = element.getAttribute('data-i18n');
-        const params = this._getElementParams(element);
-        const translation = this.translate(key, params);
-        
-        // Handle different element types
-        if (element.tagName === 'INPUT') {
-            if (element.type === 'submit' || element.type === 'button') {
-                element.value = translation;
-            } else {
-                element.placeholder = translation;
+    _updateElementAttributes(element, params, deferred = false) {
+        this._getElementAttributeKeys(element).forEach(({ attribute, key }) => {
+            // Never let translations write event handlers
+            if (/^on/i.test(attribute)) {
+                console.warn(`Refusing to translate event handler attribute "${attribute}"`);
+                return;
             }
-        } else {
-            // Use textContent for better XSS protection
-            element.textContent = translation;
-        }
+
+            if (deferred && !this.hasTranslation(key)) {
+                return;
+            }
+
+            const translation = this.translate(key, params);
+            if (translation === key && !this.hasTranslation(key)) {
+                return;
+            }
+
+            if (this.urlAttributes.includes(attribute) && !this._isSafeUrl(translation)) {
+                console.warn(`Refusing unsafe URL for ${attribute} from ${key}:`, translation);
+                return;
+            }
+
+            if (element.getAttribute(attribute) !== translation) {
+                element.setAttribute(attribute, translation);
+            }
+        });
+    }
+
+    /**
+     * Parse data-i18n-attr into attribute/key pairs
+     * @private
+     */
+    _getElementAttributeKeys(element) {
+        const attr = element.getAttribute('data-i18n-attr') || '';
+
+        return attr.split(';')
+            .map(pair => pair.split(':').map(part => part.trim()))
+            .filter(([attribute, key]) => attribute && key)
+            .map(([attribute, key]) => ({ attribute: attribute.toLowerCase(), key }));
+    }
+
+    /**
+     * Check a translated URL with HtmlSanitizer's scheme allowlist; without a
+     * sanitizer no URL attribute is translated
+     * @private
+     */
+    _isSafeUrl(url) {
+        const sanitizer = this._getSanitizer();
+        return sanitizer ? sanitizer.isSafeUrl(url) : false;
     }
 
     /**
@@ -321,7 +1496,7 @@ class I18n {
      * Check if language is supported
      */
     isLanguageSupported(lang) {
-        return this.supportedLanguages.includes(lang);
+        return this.supportedLanguages.includes(lang) || this.isPseudoLocale(lang);
     }
 
     /**
@@ -346,49 +1521,138 @@ class I18n {
 
     /**
      * Event system - Add event listener
+     * @param {string} event - Event name, or '*' for every event (called as callback(event, data))
+     * @param {Function} callback - Listener
+     * @returns {Function} Removes the listener
      */
     on(event, callback) {
         if (!this.listeners[event]) {
             this.listeners[event] = [];
         }
         this.listeners[event].push(callback);
+
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Event system - Add a listener that runs for the next event only
+     * @returns {Function} Removes the listener
+     */
+    once(event, callback) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            callback(...args);
+        };
+        wrapper.listener = callback;
+
+        return this.on(event, wrapper);
     }
 
     /**
-     * Event system - Remove event listener
+     * Event system - Remove event listener (also one added with once())
      */
     off(event, callback) {
         if (!this.listeners[event]) return;
         
-        const index = this.listeners[event].indexOf(callback);
+        const index = this.listeners[event].findIndex(listener => listener === callback || listener.listener === callback);
         if (index > -1) {
             this.listeners[event].splice(index, 1);
         }
     }
 
     /**
-     * Event system - Emit event
+     * Event system - Resolve with the data of the next matching event.
+     * 'ready' resolves at once when init() has already finished
+     * @param {string} event - Event name
+     * @param {Object} options - { timeout: ms (rejects after it), filter: data => boolean }
+     * @returns {Promise<Object>} Event data
+     * @example await i18n.waitFor('languageChanged', { filter: data => data.current === 'es-MX' })
+     */
+    waitFor(event, options = {}) {
+        if (event === 'ready' && this.isReady) {
+            return Promise.resolve({ language: this.currentLanguage });
+        }
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+
+            const listener = data => {
+                if (options.filter && !options.filter(data)) return;
+
+                this.off(event, listener);
+                clearTimeout(timer);
+                resolve(data);
+            };
+
+            if (options.timeout) {
+                timer = setTimeout(() => {
+                    this.off(event, listener);
+                    reject(new Error(`Timed out after ${options.timeout}ms waiting for i18n event "${event}"`));
+                }, options.timeout);
+            }
+
+            this.on(event, listener);
+        });
+    }
+
+    /**
+     * Event system - Emit event to on() listeners, '*' listeners and the DOM
      * @private
      */
     emit(event, data) {
-        if (!this.listeners[event]) return;
-        
-        this.listeners[event].forEach(callback => {
+        const listeners = [
+            ...(this.listeners[event] || []).map(callback => () => callback(data)),
+            ...(this.listeners['*'] || []).map(callback => () => callback(event, data))
+        ];
+
+        listeners.forEach(run => {
             try {
-                callback(data);
+                run();
             } catch (error) {
                 console.error(`Error in event listener for ${event}:`, error);
             }
         });
+
+        this._dispatchDomEvent(event, data);
+    }
+
+    /**
+     * Dispatch an event as a CustomEvent named i18n:<event>. languageChanged is
+     * also sent under its plain name with detail.language, as LocalizationManager did
+     * @private
+     */
+    _dispatchDomEvent(event, data) {
+        if (!this.domEvents || !this.eventTarget || typeof this.eventTarget.dispatchEvent !== 'function' || typeof CustomEvent !== 'function') {
+            return;
+        }
+
+        try {
+            this.eventTarget.dispatchEvent(new CustomEvent(`${this.eventPrefix}${event}`, { detail: data }));
+
+            if (event === 'languageChanged') {
+                this.eventTarget.dispatchEvent(new CustomEvent('languageChanged', {
+                    detail: { language: data.current, previous: data.previous }
+                }));
+            }
+        } catch (error) {
+            console.error(`Error dispatching DOM event for ${event}:`, error);
+        }
     }
 
     /**
-     * Clear all translations cache
+     * Clear all translations cache, including the persistent store
+     * @returns {Promise} Resolves once the persistent store is purged
      */
     clearCache() {
         this.translations = {};
         this.cache.clear();
         this.translationPromises.clear();
+        this.namespaceState.clear();
+        this.missingKeys.clear();
+        this.revalidated.clear();
+
+        const store = this._getStore();
+        return store ? store.clear() : Promise.resolve();
     }
 
     /**
@@ -398,8 +1662,230 @@ class I18n {
         return {
             loadedLanguages: Object.keys(this.translations),
             cacheSize: this.cache.size,
-            pendingLoads: this.translationPromises.size
+            pendingLoads: this.translationPromises.size,
+            namespaces: this._getNamespaceStats(),
+            persistentStore: this.store ? this.store.backend : null,
+            missingKeys: [...this.missingKeys]
+        };
+    }
+
+    /**
+     * Namespace state per language, e.g. { 'es-MX': { core: 'loaded', faq: 'loading' } }
+     * @private
+     */
+    _getNamespaceStats() {
+        const stats = {};
+
+        this.namespaceState.forEach((state, id) => {
+            const [lang, namespace] = id.split('/');
+            stats[lang] = stats[lang] || {};
+            stats[lang][namespace] = state;
+        });
+
+        return stats;
+    }
+
+    /**
+     * Compare the loaded locales with the fallback (source) language and
+     * check the keys used by the page. Loads every namespace first.
+     * @param {Object} options - See I18n.diagnose; referencedKeys defaults to the DOM's keys
+     */
+    async diagnose(options = {}) {
+        const languages = options.languages || this.supportedLanguages;
+
+        if (this.namespaces) {
+            await Promise.all(languages.map(lang => this.loadNamespaces(this.namespaces, lang)));
+        } else {
+            await this.preloadTranslations(languages);
+        }
+
+        const bundles = {};
+        languages.forEach(lang => {
+            bundles[lang] = this.translations[lang] || {};
+        });
+
+        return I18n.diagnose(bundles, {
+            sourceLanguage: this.fallbackLanguage,
+            referencedKeys: typeof document !== 'undefined' ? this._getDocumentKeys() : null,
+            fallbackChains: Object.fromEntries(languages.map(lang => [lang, this.getFallbackChain(lang).slice(1)])),
+            ...options
+        });
+    }
+
+    /**
+     * Collect the keys referenced by data-i18n and data-i18n-attr in the document
+     * @private
+     */
+    _getDocumentKeys() {
+        const keys = new Set();
+
+        document.querySelectorAll(this.elementSelector).forEach(element => {
+            if (element.hasAttribute('data-i18n')) {
+                keys.add(element.getAttribute('data-i18n'));
+            }
+            this._getElementAttributeKeys(element).forEach(({ key }) => keys.add(key));
+        });
+
+        return [...keys];
+    }
+
+    /**
+     * Translation coverage and consistency report
+     * @param {Object} bundles - Translations per language, e.g. { 'en-SG': {...}, 'es-MX': {...} }
+     * @param {Object} options
+     * @param {string} options.sourceLanguage - Locale the others are compared with (defaults to the first)
+     * @param {string[]} options.referencedKeys - Keys used by the page, checked for translations and usage
+     * @param {Object} options.fallbackChains - Languages each language falls back to, e.g.
+     *   { 'es-MX': ['es'] }; the source language always ends the chain
+     * @returns {Object} Report with per-language missing/extra/placeholder/type issues,
+     *                   undefinedReferences (no language in the chain has the key),
+     *                   fallbackReferences (shown from a fallback language) and unusedKeys
+     */
+    static diagnose(bundles, options = {}) {
+        const languages = Object.keys(bundles);
+        const sourceLanguage = options.sourceLanguage || languages[0];
+        const source = I18n._flattenBundle(bundles[sourceLanguage] || {});
+        const report = {
+            sourceLanguage,
+            languages: {},
+            undefinedReferences: [],
+            fallbackReferences: [],
+            unusedKeys: []
         };
+
+        languages.filter(lang => lang !== sourceLanguage).forEach(lang => {
+            const target = I18n._flattenBundle(bundles[lang]);
+            const result = {
+                missing: [],
+                extra: [],
+                placeholderMismatches: [],
+                typeMismatches: [],
+                coverage: 1
+            };
+
+            source.forEach((value, key) => {
+                if (!target.has(key)) {
+                    // A nested object where the source has a string (or the reverse) is a type issue, not a gap
+                    const conflict = I18n._findTypeConflict(key, source, target);
+                    if (conflict) {
+                        result.typeMismatches.push(conflict);
+                    } else {
+                        result.missing.push(key);
+                    }
+                    return;
+                }
+
+                const expected = I18n._getPlaceholders(value);
+                const actual = I18n._getPlaceholders(target.get(key));
+                if (expected.join() !== actual.join()) {
+                    result.placeholderMismatches.push({ key, expected, actual });
+                }
+            });
+
+            target.forEach((value, key) => {
+                if (!source.has(key) && !I18n._findTypeConflict(key, target, source)) {
+                    result.extra.push(key);
+                }
+            });
+
+            // The same conflict can be found from both sides
+            result.typeMismatches = result.typeMismatches.filter((conflict, index, all) =>
+                all.findIndex(other => other.key === conflict.key) === index);
+
+            const translated = [...source.keys()].filter(key => target.has(key)).length;
+            result.coverage = source.size ? Math.round((translated / source.size) * 1000) / 1000 : 1;
+            report.languages[lang] = result;
+        });
+
+        if (options.referencedKeys) {
+            const referenced = new Set(options.referencedKeys);
+            const flattened = {};
+            languages.forEach(lang => {
+                flattened[lang] = lang === sourceLanguage ? source : I18n._flattenBundle(bundles[lang]);
+            });
+
+            const fallbackChains = options.fallbackChains || {};
+
+            referenced.forEach(key => {
+                const lacking = languages.filter(lang => !flattened[lang].has(key));
+                const resolvedFrom = {};
+
+                lacking.forEach(lang => {
+                    const chain = [...(fallbackChains[lang] || []), sourceLanguage];
+                    const fallback = chain.find(code => flattened[code] && flattened[code].has(key));
+                    if (fallback) resolvedFrom[lang] = fallback;
+                });
+
+                const missing = lacking.filter(lang => !resolvedFrom[lang]);
+                if (missing.length > 0) {
+                    report.undefinedReferences.push({ key, languages: missing });
+                }
+                if (Object.keys(resolvedFrom).length > 0) {
+                    report.fallbackReferences.push({ key, languages: Object.keys(resolvedFrom), resolvedFrom });
+                }
+            });
+
+            report.unusedKeys = [...source.keys()].filter(key => !referenced.has(key));
+        }
+
+        return report;
+    }
+
+    /**
+     * Flatten nested translations into a Map of dot-notation keys to leaf values
+     * @private
+     */
+    static _flattenBundle(obj, prefix = '', result = new Map()) {
+        Object.entries(obj || {}).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                I18n._flattenBundle(value, path, result);
+            } else {
+                result.set(path, value);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Find where a key is a string in one bundle but an object in the other
+     * @private
+     */
+    static _findTypeConflict(key, bundle, other) {
+        const parts = key.split('.');
+
+        // other has a leaf where bundle nests deeper
+        for (let i = 1; i < parts.length; i++) {
+            const prefix = parts.slice(0, i).join('.');
+            if (other.has(prefix)) {
+                return { key: prefix, expected: 'object', actual: typeof other.get(prefix) };
+            }
+        }
+
+        // other nests deeper where bundle has a leaf
+        for (const otherKey of other.keys()) {
+            if (otherKey.startsWith(`${key}.`)) {
+                return { key, expected: typeof bundle.get(key), actual: 'object' };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Names used by {{placeholders}} and ICU arguments, sorted and de-duplicated
+     * @private
+     */
+    static _getPlaceholders(value) {
+        if (typeof value !== 'string') return [];
+
+        const names = new Set();
+        value.replace(/\{\{\s*([^},\s]+)[^}]*\}\}/g, (match, name) => names.add(name));
+        value.replace(/\{\s*([\w.]+)\s*,\s*(?:plural|selectordinal|select)\s*,/g, (match, name) => names.add(name));
+
+        return [...names].sort();
     }
 }
 
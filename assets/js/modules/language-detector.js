@@ -1,46 +1,29 @@
 /**
  * Language Detection Module for FoxTrading Singapore
  * Handles automatic language detection optimized for Singapore market
- * Supports en-SG (British English) and es-MX (Mexican Spanish)
+ * Supports the locales in locales/manifest.json: en-SG (British English),
+ * es-MX (Mexican Spanish) and Singapore's Chinese, Malay and Tamil
  * Primary market: Singapore with Mexican food exports
  */
 class LanguageDetector {
     constructor(options = {}) {
+        // Languages, timezones and browser-language mappings come from the locale manifest
+        const manifest = options.manifest || null;
+        this.manifest = manifest;
+
         // Singapore market focus - English as primary, Spanish for Mexican suppliers/content
-        this.supportedLanguages = options.supportedLanguages || ['en-SG', 'es-MX'];
-        this.defaultLanguage = options.defaultLanguage || 'en-SG'; // English default for Singapore
-        this.fallbackLanguage = options.fallbackLanguage || 'en-SG';
-        
-        // Singapore timezone identifiers (primary market)
-        this.singaporeTimezones = [
-            'Asia/Singapore',
-            'Singapore'
-        ];
-        
-        // Mexican timezone identifiers (supplier market)
-        this.mexicanTimezones = [
-            'America/Mexico_City',
-            'America/Cancun',
-            'America/Merida',
-            'America/Monterrey',
-            'America/Mazatlan',
-            'America/Chihuahua',
-            'America/Hermosillo',
-            'America/Tijuana',
-            'America/Bahia_Banderas'
-        ];
+        this.defaultLanguage = options.defaultLanguage || (manifest ? manifest.defaultLanguage : 'en-SG'); // English default for Singapore
+        this.fallbackLanguage = options.fallbackLanguage || (manifest ? manifest.fallbackLanguage : 'en-SG');
+        this.supportedLanguages = options.supportedLanguages || (manifest ? manifest.getCodes() : [this.defaultLanguage]);
+        // Pseudo-locale accepted from ?lang= only, never stored (e.g. 'qps-ploc')
+        this.pseudoLocale = options.pseudoLocale || null;
         
-        // Other English-speaking regions in Asia-Pacific
-        this.englishRegionTimezones = [
-            'Asia/Hong_Kong',
-            'Asia/Kuala_Lumpur',
-            'Australia/Sydney',
-            'Australia/Melbourne',
-            'Pacific/Auckland',
-            'Asia/Manila',
-            'Asia/Bangkok', // Common business language
-            'Asia/Jakarta'  // Common business language
-        ];
+        // Timezone markets: primary (Singapore), supplier (Mexico), regional (other English-speaking APAC)
+        this.timezoneMarkets = {
+            primary: { priority: 'timezone_singapore', reason: 'singapore_timezone', confidence: 0.95 },
+            supplier: { priority: 'timezone_mexico', reason: 'mexican_timezone', confidence: 0.8 },
+            regional: { priority: 'timezone_english_region', reason: 'english_region_timezone', confidence: 0.7 }
+        };
         
         // Storage keys with FoxTrading namespace
         this.storageKeys = {
@@ -49,8 +32,33 @@ class LanguageDetector {
             lastDetection: 'foxtrading_sg_last_detection',
             userOverride: 'foxtrading_sg_user_override'
         };
+
+        // Cookie mirroring an explicit choice, so the server can negotiate / (language-negotiator.js)
+        this.preferenceCookie = {
+            name: 'foxtrading_sg_language',
+            maxAge: 60 * 60 * 24 * 365,
+            ...(options.preferenceCookie || {})
+        };
+
+        // Geolocation: outlines for the country lookup, and the in-page
+        // explanation shown before the browser asks (() => Promise<boolean>)
+        this.countryDataUrl = options.countryDataUrl || '/assets/data/countries.geo.json';
+        this.countryLocator = options.countryLocator || null;
+        this.geolocationPrompt = options.geolocationPrompt || null;
+
+        // ConsentManager: 'preferences' gates stored detections, 'location'
+        // gates geolocation. Without one (Node, the edge) nothing is gated
+        this.consent = options.consent || null;
+        if (this.consent) {
+            this.consent.onRevoke('preferences', () => this._clearStoredDetection());
+        }
+
+        // Keys written by earlier versions of the site, moved to storageKeys on first run
+        this.legacyStorageKeys = {
+            language: 'preferredLanguage' // LocalizationManager (assets/js/localization.js)
+        };
         
-        // Detection priorities optimized for Singapore market
+        // Detection priorities optimized for Singapore market; registered strategies add their own
         this.detectionPriorities = {
             url: 10,
             manual: 9,
@@ -61,27 +69,322 @@ class LanguageDetector {
             browser_exact: 4,
             browser_base: 3,
             geolocation: 2,
-            default: 1
+            default: 1,
+            ...(options.detectionPriorities || {})
+        };
+        this.configuredPriorities = Object.keys(options.detectionPriorities || {});
+
+        // Detection strategies, run in strategyOrder (then registration order);
+        // built-in: url, storage, timezone, browser, geolocation
+        this.strategies = new Map();
+        this.strategyOrder = options.strategyOrder || [];
+        this.disabledStrategies = options.disabledStrategies || [];
+        this._registerBuiltInStrategies();
+
+        // 'priority': the single highest-priority signal wins
+        // 'weighted': each language scores the sum of weight × confidence of its signals
+        this.scoring = options.scoring || 'priority';
+        this.scoringWeights = {
+            url: 5,          // an explicit link outweighs every passive signal together
+            storage: 3,      // a remembered choice outweighs timezone + browser
+            timezone: 1,
+            browser: 1,
+            geolocation: 1,
+            default: 1,      // registered strategies without a weight of their own
+            ...(options.scoringWeights || {})
+        };
+        this.scoringThresholds = {
+            minScore: 0.5,   // below this the default language is used
+            minMargin: 0.15, // a closer race goes to the signal with the higher priority
+            ...(options.scoringThresholds || {})
         };
     }
 
     /**
      * Detect the most appropriate language for the Singapore market
-     * @param {Object} options - Detection options
-     * @returns {Object} Detection result with language and method
+     * @param {Object} options - Detection options (checkURL, checkStorage,
+     *   checkTimezone, checkBrowser, checkGeolocation, respectUserChoice,
+     *   scoring, debug)
+     * @returns {Object} Detection result with language and method; weighted
+     *   scoring adds ranking and explanation
      */
     async detectLanguage(options = {}) {
+        const detectionSignals = [];
+
+        try {
+            if (options.debug) console.log('🇸🇬 Starting language detection for FoxTrading Singapore market...');
+
+            for (const strategy of this._getActiveStrategies(options)) {
+                detectionSignals.push(await this._runStrategy(strategy, options));
+            }
+
+            return this._finalizeDetection(this._selectResult(detectionSignals, options), detectionSignals, options.debug);
+
+        } catch (error) {
+            return this._errorResult(error, detectionSignals);
+        }
+    }
+
+    /**
+     * Detect the language without waiting for anything, so a page can be
+     * translated from inlined strings before first paint. Async strategies
+     * (geolocation and any registered with async: true) are skipped
+     * @param {Object} options - Same as detectLanguage
+     * @returns {Object} Detection result with language and method
+     */
+    detectLanguageSync(options = {}) {
+        const detectionSignals = [];
+
+        try {
+            if (options.debug) console.log('🇸🇬 Starting language detection for FoxTrading Singapore market...');
+
+            this._getActiveStrategies(options)
+                .filter(strategy => !strategy.async)
+                .forEach(strategy => {
+                    detectionSignals.push(this._runStrategySync(strategy, options));
+                });
+
+            return this._finalizeDetection(this._selectResult(detectionSignals, options), detectionSignals, options.debug);
+
+        } catch (error) {
+            return this._errorResult(error, detectionSignals);
+        }
+    }
+
+    /**
+     * Add a detection strategy, e.g. a cookie, a campaign parameter or an
+     * edge-injected country header. The function returns a signal such as
+     * { language: 'es-MX', confidence: 0.8 } (or null when it has nothing);
+     * language tags are normalized to supported codes and the signal gets
+     * the usual detected/source/priority fields
+     * @param {string} name - Strategy name (replaces a strategy of the same name)
+     * @param {Function} detect - (context) => signal, or a Promise of one when async
+     * @param {Object} options - { priority, async, enabled }; a priority set in
+     *   the detectionPriorities option wins over the one given here
+     * @returns {LanguageDetector} this
+     */
+    registerStrategy(name, detect, options = {}) {
+        if (typeof detect !== 'function') {
+            throw new Error(`Detection strategy ${name} needs a function`);
+        }
+
+        if (!this.configuredPriorities.includes(name) && options.priority !== undefined) {
+            this.detectionPriorities[name] = options.priority;
+        }
+
+        this.strategies.set(name, {
+            name,
+            detect,
+            async: Boolean(options.async),
+            enabled: options.enabled !== false && !this.disabledStrategies.includes(name),
+            builtIn: Boolean(options.builtIn),
+            priorityKeys: options.priorityKeys || [name]
+        });
+        return this;
+    }
+
+    /**
+     * Remove a detection strategy
+     */
+    unregisterStrategy(name) {
+        return this.strategies.delete(name);
+    }
+
+    /**
+     * Turn a registered strategy on or off
+     */
+    setStrategyEnabled(name, enabled = true) {
+        const strategy = this.strategies.get(name);
+        if (strategy) {
+            strategy.enabled = enabled;
+        }
+    }
+
+    /**
+     * Registered strategies in run order
+     * @returns {Array<{ name: string, priority: number, async: boolean, enabled: boolean, builtIn: boolean }>}
+     */
+    getStrategies() {
+        return this._getOrderedStrategies().map(({ name, async, enabled, builtIn, priorityKeys }) => ({
+            name,
+            // Highest priority the strategy's signals can carry
+            priority: Math.max(...priorityKeys.map(key => this.detectionPriorities[key] ?? this.detectionPriorities.default)),
+            async,
+            enabled,
+            builtIn
+        }));
+    }
+
+    /**
+     * Built-in strategies; their signals carry the priorities named in priorityKeys
+     * @private
+     */
+    _registerBuiltInStrategies() {
+        this.registerStrategy('url', () => this._detectFromURL(), { builtIn: true });
+
+        this.registerStrategy('storage', () => {
+            this.migrateLegacyPreferences();
+
+            const result = this._detectFromStorage();
+            if (result.detected && !this._isRecentDetection()) {
+                return { ...result, detected: false, expired: true };
+            }
+            return result;
+        }, { builtIn: true, priorityKeys: ['manual', 'stored'] });
+
+        this.registerStrategy('timezone', () => this._detectFromTimezone(), {
+            builtIn: true,
+            priorityKeys: Object.values(this.timezoneMarkets).map(market => market.priority)
+        });
+        this.registerStrategy('browser', () => this._detectFromBrowser(), { builtIn: true, priorityKeys: ['browser_exact', 'browser_base'] });
+        // Off unless detectLanguage({ checkGeolocation: true }) asks for it
+        this.registerStrategy('geolocation', () => this._detectFromGeolocation(), { builtIn: true, async: true });
+    }
+
+    /**
+     * Strategies in the configured order, registered ones not listed going last
+     * @private
+     */
+    _getOrderedStrategies() {
+        const strategies = [...this.strategies.values()];
+        const position = name => {
+            const index = this.strategyOrder.indexOf(name);
+            return index === -1 ? this.strategyOrder.length : index;
+        };
+
+        return strategies
+            .map((strategy, index) => ({ strategy, index }))
+            .sort((a, b) => position(a.strategy.name) - position(b.strategy.name) || a.index - b.index)
+            .map(({ strategy }) => strategy);
+    }
+
+    /**
+     * Enabled strategies after applying the per-call check* options
+     * @private
+     */
+    _getActiveStrategies(options = {}) {
         const {
             checkURL = true,
             checkStorage = true,
             checkBrowser = true,
             checkTimezone = true,
             checkGeolocation = false,
-            respectUserChoice = true,
-            debug = false
+            respectUserChoice = true
         } = options;
 
-        const detectionSignals = [];
+        const skipped = {
+            url: !checkURL,
+            storage: !checkStorage || !respectUserChoice,
+            timezone: !checkTimezone,
+            browser: !checkBrowser,
+            geolocation: !checkGeolocation
+        };
+
+        return this._getOrderedStrategies().filter(strategy => strategy.enabled && !skipped[strategy.name]);
+    }
+
+    /**
+     * Run one strategy and turn its result into a signal
+     * @private
+     */
+    async _runStrategy(strategy, options = {}) {
+        try {
+            return this._toSignal(strategy, await strategy.detect(this._getStrategyContext(options)));
+        } catch (error) {
+            if (options.debug) console.warn(`⚠️ ${strategy.name} detection failed:`, error);
+            return this._toSignal(strategy, { error: error.message });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _runStrategySync(strategy, options = {}) {
+        try {
+            const result = strategy.detect(this._getStrategyContext(options));
+            if (result && typeof result.then === 'function') {
+                console.warn(`Detection strategy ${strategy.name} returned a promise; register it with async: true`);
+                return this._toSignal(strategy, { error: 'async strategy in synchronous detection' });
+            }
+            return this._toSignal(strategy, result);
+        } catch (error) {
+            if (options.debug) console.warn(`⚠️ ${strategy.name} detection failed:`, error);
+            return this._toSignal(strategy, { error: error.message });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getStrategyContext(options) {
+        return {
+            detector: this,
+            manifest: this.manifest,
+            supportedLanguages: this.supportedLanguages,
+            options
+        };
+    }
+
+    /**
+     * Give a strategy result the signal shape used by the built-in checks:
+     * { detected, language, source, priority, confidence, ... }
+     * @private
+     */
+    _toSignal(strategy, result) {
+        if (strategy.builtIn && result) {
+            return result;
+        }
+
+        const signal = {
+            detected: false,
+            language: null,
+            source: strategy.name,
+            method: strategy.name,
+            priority: this.detectionPriorities[strategy.name] ?? this.detectionPriorities.default,
+            confidence: 0.5,
+            ...(result || {})
+        };
+
+        const language = this._normalizeLanguageCode(signal.language);
+        signal.detected = result && result.detected !== undefined ? Boolean(result.detected && language) : Boolean(language);
+        if (signal.language) {
+            signal.original = signal.original || signal.language;
+        }
+        signal.language = language;
+
+        return signal;
+    }
+
+    /**
+     * Choose among signals gathered elsewhere (e.g. from request headers on
+     * the server) with the configured scoring; nothing is stored
+     * @param {Object[]} signals - Signals in the detectLanguage shape
+     * @param {Object} options - { scoring, debug }
+     * @returns {Object} Detection result
+     */
+    selectLanguage(signals, options = {}) {
+        return { ...this._selectResult(signals, options), signals };
+    }
+
+    /**
+     * Pick the winner with the configured scoring mode
+     * @private
+     */
+    _selectResult(detectionSignals, options = {}) {
+        const scoring = options.scoring || this.scoring;
+        const pseudo = detectionSignals.find(signal => signal.detected && signal.isPseudoLocale);
+
+        if (scoring === 'weighted' && !pseudo) {
+            return this._scoreSignals(detectionSignals, options.debug);
+        }
+        return this._pickBestSignal(detectionSignals, options.debug);
+    }
+
+    /**
+     * The detected signal with the highest priority; earlier strategies win ties
+     * @private
+     */
+    _pickBestSignal(detectionSignals, debug = false) {
         let bestResult = {
             language: this.defaultLanguage,
             method: 'default',
@@ -90,96 +393,183 @@ class LanguageDetector {
             signals: []
         };
 
-        try {
-            if (debug) console.log('🇸🇬 Starting language detection for FoxTrading Singapore market...');
-
-            // 1. Check URL parameter first (highest priority)
-            if (checkURL) {
-                const urlResult = this._detectFromURL();
-                detectionSignals.push(urlResult);
-                if (urlResult.detected && urlResult.priority > bestResult.priority) {
-                    bestResult = { ...urlResult, signals: detectionSignals };
-                    if (debug) console.log('✅ URL detection:', urlResult);
-                }
+        detectionSignals.forEach(signal => {
+            if (signal.detected && signal.priority > bestResult.priority) {
+                bestResult = { ...signal, signals: detectionSignals };
+                if (debug) console.log(`✅ ${signal.source} detection:`, signal);
             }
+        });
 
-            // 2. Check stored user preference (high priority)
-            if (checkStorage && respectUserChoice) {
-                const storedResult = this._detectFromStorage();
-                detectionSignals.push(storedResult);
-                if (storedResult.detected && storedResult.priority > bestResult.priority && this._isRecentDetection()) {
-                    bestResult = { ...storedResult, signals: detectionSignals };
-                    if (debug) console.log('✅ Storage detection:', storedResult);
-                }
-            }
+        return bestResult;
+    }
 
-            // 3. Check timezone (Singapore gets highest priority)
-            if (checkTimezone) {
-                const timezoneResult = this._detectFromTimezone();
-                detectionSignals.push(timezoneResult);
-                if (timezoneResult.detected && timezoneResult.priority > bestResult.priority) {
-                    bestResult = { ...timezoneResult, signals: detectionSignals };
-                    if (debug) console.log('✅ Timezone detection:', timezoneResult);
-                }
-            }
+    /**
+     * Combine every detected signal into a score per language
+     * @returns {Object} Detection result with ranking and explanation
+     * @private
+     */
+    _scoreSignals(detectionSignals, debug = false) {
+        const { minScore, minMargin } = this.scoringThresholds;
+        const ranking = this.rankLanguages(detectionSignals);
+        const [top, runnerUp] = ranking;
 
-            // 4. Check browser language preferences
-            if (checkBrowser) {
-                const browserResult = this._detectFromBrowser();
-                detectionSignals.push(browserResult);
-                if (browserResult.detected && browserResult.priority > bestResult.priority) {
-                    bestResult = { ...browserResult, signals: detectionSignals };
-                    if (debug) console.log('✅ Browser detection:', browserResult);
-                }
-            }
+        if (!top || top.score < minScore) {
+            const result = {
+                language: this.defaultLanguage,
+                method: 'default',
+                source: 'weighted',
+                confidence: 0.9, // High confidence in English default for Singapore
+                priority: this.detectionPriorities.default,
+                score: top ? top.score : 0,
+                ranking,
+                signals: []
+            };
+            result.explanation = top
+                ? `${this.defaultLanguage} (default): the best candidate, ${top.language}, scored ${top.score.toFixed(2)}, below the minimum of ${minScore}`
+                : `${this.defaultLanguage} (default): no signal detected a supported language`;
+            if (debug) console.log('⚖️ Weighted detection:', result.explanation);
+            return result;
+        }
 
-            // 5. Optional geolocation check (Singapore-focused)
-            if (checkGeolocation) {
-                try {
-                    const geoResult = await this._detectFromGeolocation();
-                    detectionSignals.push(geoResult);
-                    if (geoResult.detected && geoResult.priority > bestResult.priority) {
-                        bestResult = { ...geoResult, signals: detectionSignals };
-                        if (debug) console.log('✅ Geolocation detection:', geoResult);
-                    }
-                } catch (error) {
-                    if (debug) console.warn('⚠️ Geolocation detection failed:', error);
-                }
-            }
+        let winner = top;
+        const close = runnerUp && top.score - runnerUp.score < minMargin;
+        if (close && runnerUp.priority > top.priority) {
+            winner = runnerUp;
+        }
 
-            // Final validation and fallback
-            if (!this.supportedLanguages.includes(bestResult.language)) {
-                bestResult.language = this.fallbackLanguage;
-                bestResult.method = 'fallback';
-                bestResult.confidence = 0.9; // High confidence in English for Singapore
-                bestResult.priority = this.detectionPriorities.default;
-            }
+        const result = {
+            language: winner.language,
+            method: 'weighted',
+            source: 'weighted',
+            confidence: winner.share,
+            priority: winner.priority,
+            score: winner.score,
+            ranking,
+            signals: []
+        };
+        result.explanation = this._explainRanking(ranking, winner, close);
 
-            // Store the detection result
-            this._storeDetection(bestResult);
-            
-            bestResult.signals = detectionSignals;
-            bestResult.market = 'singapore';
-            
-            if (debug) {
-                console.log('🇸🇬 Final detection result for Singapore market:', bestResult);
-                console.log('📊 All detection signals:', detectionSignals);
-            }
+        if (debug) console.log('⚖️ Weighted detection:', result.explanation, ranking);
+        return result;
+    }
+
+    /**
+     * Score each language from detection signals: the sum of weight × confidence
+     * of the signals naming it, as winner or in alternatives (the weight is
+     * looked up by strategy name)
+     * @param {Object[]} detectionSignals - Signals from detectLanguage (result.signals)
+     * @returns {Array<{ language, score, share, priority, contributions }>} Best first
+     */
+    rankLanguages(detectionSignals = []) {
+        const scores = new Map();
+
+        detectionSignals
+            .filter(signal => signal.detected)
+            .forEach(signal => {
+                const weight = this.scoringWeights[signal.source] ?? this.scoringWeights.default;
+                // A signal may name runners-up too (the browser's other languages); they score lower
+                const votes = [
+                    { language: signal.language, confidence: signal.confidence, priority: signal.priority || 0 },
+                    ...(signal.alternatives || []).map(alternative => ({ ...alternative, priority: 0 }))
+                ];
+
+                votes
+                    .filter(vote => this.supportedLanguages.includes(vote.language))
+                    .forEach(vote => {
+                        const contribution = weight * (vote.confidence || 0);
+
+                        if (!scores.has(vote.language)) {
+                            scores.set(vote.language, { language: vote.language, score: 0, share: 0, priority: 0, contributions: [] });
+                        }
+                        const entry = scores.get(vote.language);
+                        entry.score += contribution;
+                        entry.priority = Math.max(entry.priority, vote.priority);
+                        entry.contributions.push({ source: signal.source, confidence: vote.confidence, weight, contribution });
+                    });
+            });
+
+        const ranking = [...scores.values()];
+        const total = ranking.reduce((sum, entry) => sum + entry.score, 0);
+        ranking.forEach(entry => {
+            entry.share = total > 0 ? Math.round((entry.score / total) * 100) / 100 : 0;
+        });
+
+        return ranking.sort((a, b) => b.score - a.score || b.priority - a.priority);
+    }
+
+    /**
+     * One sentence on why the winner was chosen, e.g.
+     * "es-MX scored 1.50 (timezone 0.80 × 1 + browser 0.70 × 1), ahead of en-SG with 0.50 (browser 0.50 × 1)"
+     * @private
+     */
+    _explainRanking(ranking, winner, close) {
+        const describe = entry => `${entry.score.toFixed(2)} (${entry.contributions
+            .map(({ source, confidence, weight }) => `${source} ${Number(confidence).toFixed(2)} × ${weight}`)
+            .join(' + ')})`;
 
+        const others = ranking.filter(entry => entry !== winner);
+        let explanation = `${winner.language} scored ${describe(winner)}`;
+
+        if (others.length === 0) {
+            return `${explanation}; no other language was detected`;
+        }
+
+        explanation += `, ${winner === ranking[0] ? 'ahead of' : 'against'} ${others[0].language} with ${describe(others[0])}`;
+        if (close) {
+            explanation += winner === ranking[0]
+                ? `; the lead is under ${this.scoringThresholds.minMargin}, and ${winner.language} also has the higher-priority signal`
+                : `; the lead is under ${this.scoringThresholds.minMargin}, so ${winner.language}'s higher-priority signal decides`;
+        }
+        return explanation;
+    }
+
+    /**
+     * Validate, store and annotate the winning signal
+     * @private
+     */
+    _finalizeDetection(bestResult, detectionSignals, debug = false) {
+        // Pseudo-localization is a testing mode: apply it without remembering it
+        if (bestResult.isPseudoLocale) {
+            bestResult.signals = detectionSignals;
             return bestResult;
-            
-        } catch (error) {
-            console.error('❌ Error in Singapore market language detection:', error);
-            return {
-                language: this.fallbackLanguage,
-                method: 'error_fallback',
-                confidence: 0.9,
-                priority: 0,
-                signals: detectionSignals,
-                error: error.message,
-                market: 'singapore'
-            };
         }
+
+        // Final validation and fallback
+        if (!this.supportedLanguages.includes(bestResult.language)) {
+            bestResult.language = this.fallbackLanguage;
+            bestResult.method = 'fallback';
+            bestResult.confidence = 0.9; // High confidence in English for Singapore
+            bestResult.priority = this.detectionPriorities.default;
+        }
+
+        // Store the detection result
+        this._storeDetection(bestResult);
+        
+        bestResult.signals = detectionSignals;
+        bestResult.market = 'singapore';
+        
+        if (debug) {
+            console.log('🇸🇬 Final detection result for Singapore market:', bestResult);
+            console.log('📊 All detection signals:', detectionSignals);
+        }
+
+        return bestResult;
+    }
+
+    /**
+     * @private
+     */
+    _errorResult(error, detectionSignals) {
+        console.error('❌ Error in Singapore market language detection:', error);
+        return {
+            language: this.fallbackLanguage,
+            method: 'error_fallback',
+            confidence: 0.9,
+            priority: 0,
+            signals: detectionSignals,
+            error: error.message,
+            market: 'singapore'
+        };
     }
 
     /**
@@ -216,6 +606,15 @@ class LanguageDetector {
             const urlParams = new URLSearchParams(window.location.search);
             const langParam = urlParams.get('lang') || urlParams.get('language') || urlParams.get('locale');
             
+            if (langParam && this.pseudoLocale && langParam.toLowerCase() === this.pseudoLocale) {
+                result.detected = true;
+                result.language = this.pseudoLocale;
+                result.method = 'query';
+                result.originalParam = langParam;
+                result.isPseudoLocale = true;
+                return result;
+            }
+            
             if (langParam) {
                 const normalizedParam = this._normalizeLanguageCode(langParam);
                 if (this.supportedLanguages.includes(normalizedParam)) {
@@ -289,32 +688,20 @@ class LanguageDetector {
             const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
             result.detectedTimezone = timezone;
             
-            // Check for Singapore timezone (highest priority)
-            if (this.singaporeTimezones.includes(timezone)) {
-                result.detected = true;
-                result.language = 'en-SG';
-                result.priority = this.detectionPriorities.timezone_singapore;
-                result.reason = 'singapore_timezone';
-                result.confidence = 0.95;
-                result.market = 'primary';
-            }
-            // Check for Mexican timezones (supplier market)
-            else if (this.mexicanTimezones.includes(timezone)) {
-                result.detected = true;
-                result.language = 'es-MX';
-                result.priority = this.detectionPriorities.timezone_mexico;
-                result.reason = 'mexican_timezone';
-                result.confidence = 0.8;
-                result.market = 'supplier';
-            }
-            // Check for other English-speaking regions in APAC
-            else if (this.englishRegionTimezones.includes(timezone)) {
+            const candidates = this.manifest
+                ? this.manifest.findAllByTimezone(timezone).filter(candidate => this.supportedLanguages.includes(candidate.language))
+                : [];
+            const match = this._pickTimezoneCandidate(candidates);
+            const market = match ? this.timezoneMarkets[match.market] : null;
+            
+            if (market) {
                 result.detected = true;
-                result.language = 'en-SG';
-                result.priority = this.detectionPriorities.timezone_english_region;
-                result.reason = 'english_region_timezone';
-                result.confidence = 0.7;
-                result.market = 'regional';
+                result.language = match.language;
+                result.priority = this.detectionPriorities[market.priority];
+                result.reason = market.reason;
+                result.confidence = market.confidence;
+                result.market = match.market;
+                result.candidates = candidates.map(candidate => candidate.language);
             }
             
         } catch (error) {
@@ -324,11 +711,64 @@ class LanguageDetector {
         return result;
     }
 
+    /**
+     * Choose among the locales spoken in the visitor's timezone: the first
+     * one the browser asks for (a zh-CN browser in Singapore gets zh-Hans-SG),
+     * otherwise the first in manifest order
+     * @private
+     */
+    _pickTimezoneCandidate(candidates) {
+        if (candidates.length <= 1) {
+            return candidates[0] || null;
+        }
+        
+        try {
+            return this.pickCandidate(candidates, navigator.languages || [navigator.language || navigator.userLanguage]);
+        } catch (error) {
+            console.warn('Error reading browser languages for timezone match:', error);
+        }
+        
+        return candidates[0];
+    }
+
+    /**
+     * The first candidate locale the language list asks for, otherwise the
+     * first candidate; shared with the server's country-header match
+     * @param {Array<{ language: string, market: string }>} candidates - Locales for a timezone or country
+     * @param {string[]} browserLanguages - Preferred languages, best first
+     * @returns {{ language: string, market: string }|null}
+     */
+    pickCandidate(candidates, browserLanguages = []) {
+        if (candidates.length <= 1) {
+            return candidates[0] || null;
+        }
+        
+        for (const browserLang of browserLanguages) {
+            const normalized = this._normalizeBrowserLanguage(browserLang);
+            const preferred = candidates.find(candidate => candidate.language === normalized.full);
+            if (preferred) {
+                return preferred;
+            }
+        }
+        
+        return candidates[0];
+    }
+
+    /**
+     * Match a language list (navigator.languages, or Accept-Language on the
+     * server) the way the browser signal does
+     * @param {string[]} languages - Preferred languages, best first
+     * @returns {Object} Browser signal
+     */
+    matchBrowserLanguages(languages) {
+        return this._detectFromBrowser(languages);
+    }
+
     /**
      * Detect language from browser settings (Singapore market optimized)
      * @private
      */
-    _detectFromBrowser() {
+    _detectFromBrowser(languages = null) {
         const result = { 
             detected: false, 
             language: null, 
@@ -337,7 +777,7 @@ class LanguageDetector {
         };
         
         try {
-            const browserLanguages = navigator.languages || [navigator.language || navigator.userLanguage];
+            const browserLanguages = languages || navigator.languages || [navigator.language || navigator.userLanguage];
             result.allBrowserLanguages = browserLanguages;
             
             for (let i = 0; i < browserLanguages.length; i++) {
@@ -369,6 +809,10 @@ class LanguageDetector {
                 }
             }
             
+            if (result.detected) {
+                result.alternatives = this._getBrowserAlternatives(browserLanguages, result.language);
+            }
+            
         } catch (error) {
             console.warn('Error detecting browser language:', error);
         }
@@ -377,91 +821,146 @@ class LanguageDetector {
     }
 
     /**
-     * Detect language from geolocation (Singapore & APAC focused)
+     * The other supported languages in the browser's list, scored like the
+     * main match; weighted scoring adds them to their languages
      * @private
      */
-    _detectFromGeolocation() {
-        return new Promise((resolve) => {
-            const result = { 
-                detected: false, 
-                language: null, 
-                source: 'geolocation',
-                priority: this.detectionPriorities.geolocation,
-                confidence: 0.7
-            };
+    _getBrowserAlternatives(browserLanguages, chosen) {
+        const alternatives = new Map();
+
+        browserLanguages.forEach((browserLang, i) => {
+            const normalized = this._normalizeBrowserLanguage(browserLang);
+            const match = this.supportedLanguages.includes(normalized.full)
+                ? { language: normalized.full, confidence: Math.max(0.7 - (i * 0.1), 0.4) }
+                : this.supportedLanguages.includes(normalized.base)
+                    ? { language: normalized.base, confidence: Math.max(0.5 - (i * 0.1), 0.2) }
+                    : null;
 
-            if (!navigator.geolocation) {
-                result.error = 'Geolocation not supported';
-                resolve(result);
-                return;
+            if (match && match.language !== chosen && !alternatives.has(match.language)) {
+                alternatives.set(match.language, match);
             }
+        });
+
+        return [...alternatives.values()];
+    }
 
-            const timeout = setTimeout(() => {
-                result.error = 'Geolocation timeout';
-                resolve(result);
-            }, 3000);
+    /**
+     * Detect language from geolocation (Singapore & APAC focused): the
+     * position is matched to a country with the bundled outlines, then to a
+     * locale through the manifest's countries. The browser is only asked for
+     * the position once geolocationPrompt has explained why and resolved true,
+     * unless location consent (or, without a ConsentManager, the permission)
+     * was already given
+     * @private
+     */
+    async _detectFromGeolocation() {
+        const result = { 
+            detected: false, 
+            language: null, 
+            source: 'geolocation',
+            priority: this.detectionPriorities.geolocation,
+            confidence: 0.7
+        };
+
+        if (typeof navigator === 'undefined' || !navigator.geolocation) {
+            result.error = 'Geolocation not supported';
+            return result;
+        }
+
+        const permission = await this._getGeolocationPermission();
+        if (permission === 'denied') {
+            result.error = 'Geolocation permission denied';
+            return result;
+        }
+
+        // Ask only after the page has explained what the location is used for
+        const allowed = this.consent ? this.consent.has('location') : permission === 'granted';
+        if (!allowed) {
+            if (typeof this.geolocationPrompt !== 'function') {
+                result.error = 'No geolocation explanation configured';
+                return result;
+            }
+
+            if (!(await this.geolocationPrompt())) {
+                result.error = 'Geolocation declined';
+                result.declined = true;
+                return result;
+            }
+
+            if (this.consent) {
+                this.consent.grant('location');
+            }
+        }
+
+        let position;
+        try {
+            // Leave time to answer the browser's permission prompt
+            position = await this._getPosition(permission === 'granted' ? 3000 : 30000);
+        } catch (error) {
+            result.error = `Geolocation error: ${error.message}`;
+            return result;
+        }
+
+        const { latitude, longitude } = position.coords;
+        result.coordinates = { latitude, longitude };
+
+        const locator = await this._getCountryLocator();
+        const country = locator ? locator.locate(latitude, longitude) : null;
+        if (!country) {
+            result.error = locator ? 'No country found for position' : 'Country boundaries unavailable';
+            return result;
+        }
+
+        result.country = country.name;
+        result.countryCode = country.code;
+
+        const candidates = this.manifest
+            ? this.manifest.findAllByCountry(country.code).filter(candidate => this.supportedLanguages.includes(candidate.language))
+            : [];
+        const match = this.pickCandidate(candidates, navigator.languages || [navigator.language]);
+        const market = match ? this.timezoneMarkets[match.market] : null;
+
+        if (market) {
+            result.detected = true;
+            result.language = match.language;
+            result.confidence = market.confidence;
+            result.market = match.market;
+            result.candidates = candidates.map(candidate => candidate.language);
+        }
+
+        return result;
+    }
+
+    /**
+     * Geolocation permission state ('granted', 'denied', 'prompt'), or null
+     * where the Permissions API is missing
+     * @private
+     */
+    async _getGeolocationPermission() {
+        try {
+            if (!navigator.permissions || !navigator.permissions.query) return null;
+            const status = await navigator.permissions.query({ name: 'geolocation' });
+            return status.state;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getPosition(timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('timeout')), timeout);
 
             navigator.geolocation.getCurrentPosition(
                 (position) => {
-                    clearTimeout(timeout);
-                    const { latitude, longitude } = position.coords;
-                    result.coordinates = { latitude, longitude };
-                    
-                    // Singapore: 1.2966° N, 103.7764° E (with buffer)
-                    if (latitude >= 1.1 && latitude <= 1.5 && longitude >= 103.6 && longitude <= 104.0) {
-                        result.detected = true;
-                        result.language = 'en-SG';
-                        result.country = 'Singapore';
-                        result.confidence = 0.95;
-                        result.market = 'primary';
-                    }
-                    // Mexico: roughly 14°N to 33°N, 118°W to 86°W
-                    else if (latitude >= 14 && latitude <= 33 && longitude >= -118 && longitude <= -86) {
-                        result.detected = true;
-                        result.language = 'es-MX';
-                        result.country = 'Mexico';
-                        result.confidence = 0.8;
-                        result.market = 'supplier';
-                    }
-                    // Malaysia: 1°N to 7°N, 100°E to 119°E
-                    else if (latitude >= 1 && latitude <= 7 && longitude >= 100 && longitude <= 119) {
-                        result.detected = true;
-                        result.language = 'en-SG';
-                        result.country = 'Malaysia';
-                        result.confidence = 0.7;
-                        result.market = 'regional';
-                    }
-                    // Indonesia: 11°S to 6°N, 95°E to 141°E
-                    else if (latitude >= -11 && latitude <= 6 && longitude >= 95 && longitude <= 141) {
-                        result.detected = true;
-                        result.language = 'en-SG';
-                        result.country = 'Indonesia';
-                        result.confidence = 0.6;
-                        result.market = 'regional';
-                    }
-                    // Philippines: 4°N to 21°N, 116°E to 127°E
-                    else if (latitude >= 4 && latitude <= 21 && longitude >= 116 && longitude <= 127) {
-                        result.detected = true;
-                        result.language = 'en-SG';
-                        result.country = 'Philippines';
-                        result.confidence = 0.7;
-                        result.market = 'regional';
-                    }
-                    // Thailand: 5°N to 21°N, 97°E to 106°E
-                    else if (latitude >= 5 && latitude <= 21 && longitude >= 97 && longitude <= 106) {
-                        result.detected = true;
-                        result.language = 'en-SG';
-                        result.country = 'Thailand';
-                        result.confidence = 0.6;
-                        result.market = 'regional';
-                    }
-                    
-                    resolve(result);
+                    clearTimeout(timer);
+                    resolve(position);
                 },
                 (error) => {
-                    clearTimeout(timeout);
-                    result.error = `Geolocation error: ${error.message}`;
-                    resolve(result);
+                    clearTimeout(timer);
+                    reject(error);
                 },
                 { 
                     timeout: 3000, 
@@ -472,6 +971,44 @@ class LanguageDetector {
         });
     }
 
+    /**
+     * Load the country outlines once, on first use
+     * @private
+     */
+    _getCountryLocator() {
+        if (!this.countryLocator) {
+            const Locator = LanguageDetector._resolveModule('CountryLocator', './country-locator');
+            this.countryLocator = Locator
+                ? Locator.load(this.countryDataUrl).catch(error => {
+                    console.warn('Error loading country boundaries:', error);
+                    this.countryLocator = null;
+                    return null;
+                })
+                : Promise.resolve(null);
+        }
+
+        return Promise.resolve(this.countryLocator);
+    }
+
+    /**
+     * @private
+     */
+    static _resolveModule(globalName, modulePath) {
+        if (typeof window !== 'undefined' && window[globalName]) {
+            return window[globalName];
+        }
+
+        if (typeof require === 'function') {
+            try {
+                return require(modulePath);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Normalize browser language code (Singapore market focused)
      * @private
@@ -489,18 +1026,12 @@ class LanguageDetector {
             const parts = clean.split('-');
             
             normalized.base = parts[0];
-            normalized.region = parts[1];
+            // Skip a script subtag (zh-Hans-SG) to reach the region
+            normalized.region = parts.slice(1).find(part => part.length !== 4);
             
-            // Handle language mappings for Singapore market
-            if (normalized.base === 'es') {
-                // All Spanish variants to Mexican Spanish (supplier market)
-                normalized.full = 'es-MX';
-            } else if (normalized.base === 'en') {
-                // All English variants to British English (Singapore standard)
-                normalized.full = 'en-SG';
-            } else {
-                normalized.full = normalized.base;
-            }
+            // Map variants to the locale claiming them in the manifest,
+            // e.g. every Spanish variant to Mexican Spanish (supplier market)
+            normalized.full = (this.manifest && this.manifest.matchLanguage(clean)) || normalized.base;
             
         } catch (error) {
             console.warn('Error normalizing browser language:', browserLang, error);
@@ -516,23 +1047,15 @@ class LanguageDetector {
     _normalizeLanguageCode(langCode) {
         if (!langCode) return null;
         
-        const clean = langCode.toLowerCase().replace('_', '-');
-        const parts = clean.split('-');
-        const base = parts[0];
-        
         // Map to our supported languages for Singapore market
-        if (base === 'es') {
-            return 'es-MX';
-        } else if (base === 'en') {
-            return 'en-SG';
+        const matched = this.manifest ? this.manifest.matchLanguage(langCode) : null;
+        if (matched && this.supportedLanguages.includes(matched)) {
+            return matched;
         }
         
         // Return as-is if it's already supported
-        if (this.supportedLanguages.includes(clean)) {
-            return clean;
-        }
-        
-        return null;
+        const clean = langCode.replace('_', '-');
+        return this.supportedLanguages.find(code => code.toLowerCase() === clean.toLowerCase()) || null;
     }
 
     /**
@@ -561,6 +1084,14 @@ class LanguageDetector {
      * @private
      */
     _storeDetection(detectionResult, isUserChoice = false) {
+        // The choice cookie is strictly necessary: without it the edge
+        // (LanguageNegotiator) would redirect away from the chosen language
+        if (isUserChoice) {
+            this._writePreferenceCookie(detectionResult.language);
+        }
+
+        if (!this._hasConsent('preferences')) return;
+
         try {
             localStorage.setItem(this.storageKeys.language, detectionResult.language);
             localStorage.setItem(this.storageKeys.detectionMethod, detectionResult.method || 'unknown');
@@ -571,6 +1102,58 @@ class LanguageDetector {
         }
     }
 
+    /**
+     * @private
+     */
+    _hasConsent(category) {
+        return !this.consent || this.consent.has(category);
+    }
+
+    /**
+     * Mirror an explicit choice in a cookie; max-age 0 deletes it
+     * @private
+     */
+    _writePreferenceCookie(language, maxAge = this.preferenceCookie.maxAge) {
+        if (typeof document === 'undefined') return;
+
+        try {
+            document.cookie = `${this.preferenceCookie.name}=${encodeURIComponent(language)}; Path=/; Max-Age=${maxAge}; SameSite=Lax`;
+        } catch (error) {
+            console.warn('Error writing language cookie:', error);
+        }
+    }
+
+    /**
+     * Move a language saved under a legacy key to the current storage keys,
+     * once: the legacy key is removed afterwards. A choice already stored
+     * under the current keys wins
+     * @returns {string|null} Migrated language, if any
+     */
+    migrateLegacyPreferences() {
+        // Left in place until preferences may be stored
+        if (!this._hasConsent('preferences')) return null;
+
+        try {
+            const legacyLang = localStorage.getItem(this.legacyStorageKeys.language);
+            if (legacyLang === null) return null;
+
+            localStorage.removeItem(this.legacyStorageKeys.language);
+
+            const language = this._normalizeLanguageCode(legacyLang);
+            const hasCurrentChoice = localStorage.getItem(this.storageKeys.userOverride) === 'true';
+            if (!language || !this.supportedLanguages.includes(language) || hasCurrentChoice) {
+                return null;
+            }
+
+            // LocalizationManager only saved explicit choices
+            this._storeDetection({ language, method: 'manual' }, true);
+            return language;
+        } catch (error) {
+            console.warn('Error migrating legacy language preference:', error);
+            return null;
+        }
+    }
+
     /**
      * Manually set language preference (user choice)
      */
@@ -609,8 +1192,19 @@ class LanguageDetector {
      * Clear all stored preferences
      */
     clearPreferences() {
+        if (!this._clearStoredDetection()) return false;
+
+        this._writePreferenceCookie('', 0);
+        return true;
+    }
+
+    /**
+     * Remove stored detections (current and legacy keys), keeping the choice cookie
+     * @private
+     */
+    _clearStoredDetection() {
         try {
-            Object.values(this.storageKeys).forEach(key => {
+            [...Object.values(this.storageKeys), ...Object.values(this.legacyStorageKeys)].forEach(key => {
                 localStorage.removeItem(key);
             });
             return true;
@@ -630,9 +1224,11 @@ class LanguageDetector {
                 supportedLanguages: this.supportedLanguages,
                 defaultLanguage: this.defaultLanguage,
                 fallbackLanguage: this.fallbackLanguage,
-                singaporeTimezones: this.singaporeTimezones,
-                mexicanTimezones: this.mexicanTimezones,
-                englishRegionTimezones: this.englishRegionTimezones
+                timezones: this.manifest ? this.manifest.getTimezonesByMarket() : {},
+                strategies: this.getStrategies(),
+                scoring: this.scoring,
+                scoringWeights: this.scoringWeights,
+                scoringThresholds: this.scoringThresholds
             },
             browser: {
                 languages: navigator.languages || [navigator.language],
@@ -702,26 +1298,24 @@ class LanguageDetector {
      * Get supported languages info for Singapore market
      */
     getSupportedLanguagesInfo() {
-        return {
-            'en-SG': {
-                code: 'en-SG',
-                name: 'English (United Kingdom)',
-                nativeName: 'English (UK)',
-                flag: '🇬🇧',
-                direction: 'ltr',
-                market: 'Primary (Singapore business language)',
-                usage: 'Main website language, business communication'
-            },
-            'es-MX': {
-                code: 'es-MX',
-                name: 'Spanish (Mexico)',
-                nativeName: 'Español (México)',
-                flag: '🇲🇽',
-                direction: 'ltr',
-                market: 'Supplier (Mexican food exporters)',
-                usage: 'Mexican supplier communication, product descriptions'
-            }
-        };
+        const info = {};
+        
+        this.supportedLanguages.forEach(code => {
+            const locale = this.manifest ? this.manifest.getLocale(code) : null;
+            if (!locale) return;
+            
+            info[code] = {
+                code,
+                name: locale.name,
+                nativeName: locale.nativeName,
+                flag: locale.flag,
+                direction: locale.direction,
+                market: locale.market,
+                usage: locale.usage
+            };
+        });
+        
+        return info;
     }
 
     /**
@@ -0,0 +1,294 @@
+/**
+ * Language Negotiator
+ * Picks the language of the root page from the request, before any HTML is
+ * sent: the preference cookie, Accept-Language and a country header set by
+ * the edge. Runs in an edge function (middleware.js), a Node server
+ * (scripts/serve.js) or the browser, and matches languages with
+ * LanguageDetector so server and client agree
+ */
+class LanguageNegotiator {
+    /**
+     * @param {Object} options - { manifest, detector, cookieName, countryHeaders,
+     *   paths, mode, redirectStatus, scoring }
+     *
+     * - detector: LanguageDetector to share; created from manifest when omitted
+     * - mode: 'redirect' sends /es-MX to the browser, 'rewrite' serves it at /
+     * - paths: request paths that are negotiated (only the root page by default)
+     */
+    constructor(options = {}) {
+        if (options.detector) {
+            this.detector = options.detector;
+        } else {
+            const Detector = LanguageNegotiator._resolveModule('LanguageDetector', './language-detector');
+            this.detector = new Detector({ manifest: options.manifest });
+        }
+
+        this.manifest = this.detector.manifest;
+        this.defaultLanguage = this.detector.defaultLanguage;
+        this.cookieName = options.cookieName || this.detector.preferenceCookie.name;
+        // Vercel, then Cloudflare; the first one present is used
+        this.countryHeaders = options.countryHeaders || ['X-Vercel-IP-Country', 'CF-IPCountry'];
+        this.paths = options.paths || ['/', '/index.html'];
+        this.mode = options.mode || 'redirect';
+        // Temporary: the answer depends on the request headers
+        this.redirectStatus = options.redirectStatus || 302;
+        this.scoring = options.scoring;
+    }
+
+    /**
+     * Parse an Accept-Language header into tags, best first
+     * @param {string} header - e.g. 'es-MX,es;q=0.9,en;q=0.8'
+     * @returns {Array<{ tag: string, q: number }>} Entries with q > 0; '*' is dropped
+     */
+    static parseAcceptLanguage(header) {
+        if (!header) return [];
+
+        return String(header)
+            .split(',')
+            .map((part, index) => {
+                const [tag, ...params] = part.trim().split(';');
+                const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+                const q = qParam ? Number(qParam.slice(2)) : 1;
+                return { tag: tag.trim(), q: Number.isFinite(q) ? q : 0, index };
+            })
+            .filter(entry => entry.tag && entry.tag !== '*' && entry.q > 0)
+            .sort((a, b) => b.q - a.q || a.index - b.index)
+            .map(({ tag, q }) => ({ tag, q }));
+    }
+
+    /**
+     * Parse a Cookie header
+     * @param {string} header - e.g. 'a=1; foxtrading_sg_language=es-MX'
+     * @returns {Object} Cookie values by name
+     */
+    static parseCookies(header) {
+        const cookies = {};
+        if (!header) return cookies;
+
+        String(header).split(';').forEach(pair => {
+            const index = pair.indexOf('=');
+            if (index === -1) return;
+
+            const name = pair.slice(0, index).trim();
+            if (!name || name in cookies) return;
+
+            try {
+                cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (error) {
+                cookies[name] = pair.slice(index + 1).trim();
+            }
+        });
+
+        return cookies;
+    }
+
+    /**
+     * Read a header from a Fetch Headers object or Node's lower-cased header object
+     * @param {Headers|Object} headers - Request headers
+     * @param {string} name - Header name
+     * @returns {string|null}
+     */
+    static getHeader(headers, name) {
+        if (!headers) return null;
+
+        if (typeof headers.get === 'function') {
+            return headers.get(name);
+        }
+
+        const value = headers[name.toLowerCase()];
+        if (value === undefined) return null;
+        return Array.isArray(value) ? value.join(', ') : value;
+    }
+
+    /**
+     * Detection signals for a request, in the shape LanguageDetector produces
+     * @param {Object} request - { headers }
+     * @returns {Object[]} Cookie, browser (Accept-Language) and country signals
+     */
+    getSignals(request) {
+        const headers = request.headers;
+        const acceptLanguages = LanguageNegotiator.parseAcceptLanguage(LanguageNegotiator.getHeader(headers, 'accept-language'))
+            .map(entry => entry.tag);
+
+        return [
+            this._cookieSignal(LanguageNegotiator.getHeader(headers, 'cookie')),
+            {
+                ...this.detector.matchBrowserLanguages(acceptLanguages),
+                acceptLanguage: LanguageNegotiator.getHeader(headers, 'accept-language')
+            },
+            this._countrySignal(headers, acceptLanguages)
+        ];
+    }
+
+    /**
+     * Choose the language for a request
+     * @param {Object} request - { headers }
+     * @returns {Object} Detection result (language, method, signals, ...)
+     */
+    negotiate(request) {
+        const options = this.scoring ? { scoring: this.scoring } : {};
+        return this.detector.selectLanguage(this.getSignals(request), options);
+    }
+
+    /**
+     * Decide what to do with a request
+     * @param {Object} request - { url, headers }; url may be a path or absolute
+     * @returns {Object} { action: 'next'|'redirect'|'rewrite', status?, location?,
+     *   destination?, language?, headers, result? }; headers go on the response
+     */
+    handle(request) {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (!this.paths.includes(url.pathname)) {
+            return { action: 'next', headers: {} };
+        }
+
+        const headers = { Vary: this.getVary() };
+
+        // An explicit ?lang= is applied by the page itself
+        const query = ['lang', 'language', 'locale'].find(name => url.searchParams.has(name));
+        if (query) {
+            return { action: 'next', headers };
+        }
+
+        const result = this.negotiate(request);
+        const language = result.language;
+
+        if (language === this.defaultLanguage || !this.manifest.has(language)) {
+            return {
+                action: 'next',
+                language: this.defaultLanguage,
+                headers: { ...headers, 'Content-Language': this.defaultLanguage },
+                result
+            };
+        }
+
+        const destination = `${this.getLocalePath(language)}${url.search}`;
+
+        if (this.mode === 'rewrite') {
+            return {
+                action: 'rewrite',
+                destination,
+                language,
+                headers: { ...headers, 'Content-Language': language },
+                result
+            };
+        }
+
+        return {
+            action: 'redirect',
+            status: this.redirectStatus,
+            location: destination,
+            language,
+            headers,
+            result
+        };
+    }
+
+    /**
+     * Request headers the root page's response depends on
+     * @returns {string} Vary header value
+     */
+    getVary() {
+        return ['Accept-Language', 'Cookie', ...this.countryHeaders].join(', ');
+    }
+
+    /**
+     * Path of a locale's pre-rendered page, e.g. /es-MX
+     * @param {string} language - Locale code
+     * @returns {string}
+     */
+    getLocalePath(language) {
+        return `/${language}`;
+    }
+
+    /**
+     * An explicit choice made on the site (LanguageDetector._writePreferenceCookie)
+     * @private
+     */
+    _cookieSignal(cookieHeader) {
+        const result = {
+            detected: false,
+            language: null,
+            source: 'cookie',
+            method: 'cookie',
+            priority: this.detector.detectionPriorities.manual,
+            confidence: 1.0
+        };
+
+        const value = LanguageNegotiator.parseCookies(cookieHeader)[this.cookieName];
+        const language = value ? this.manifest.matchLanguage(value) : null;
+        if (language && this.detector.isLanguageSupported(language)) {
+            result.detected = true;
+            result.language = language;
+            result.cookie = value;
+        }
+
+        return result;
+    }
+
+    /**
+     * The country header matched through the manifest's countries, ranked
+     * like a timezone of the same market
+     * @private
+     */
+    _countrySignal(headers, acceptLanguages) {
+        const result = {
+            detected: false,
+            language: null,
+            source: 'country',
+            method: 'country',
+            confidence: 0
+        };
+
+        const header = this.countryHeaders.find(name => LanguageNegotiator.getHeader(headers, name));
+        if (!header) return result;
+
+        const country = LanguageNegotiator.getHeader(headers, header).trim().toUpperCase();
+        result.country = country;
+        result.header = header;
+
+        const candidates = this.manifest
+            .findAllByCountry(country)
+            .filter(candidate => this.detector.supportedLanguages.includes(candidate.language));
+        const match = this.detector.pickCandidate(candidates, acceptLanguages);
+        const market = match ? this.detector.timezoneMarkets[match.market] : null;
+
+        if (market) {
+            result.detected = true;
+            result.language = match.language;
+            result.priority = this.detector.detectionPriorities[market.priority];
+            result.confidence = market.confidence;
+            result.market = match.market;
+            result.candidates = candidates.map(candidate => candidate.language);
+        }
+
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    static _resolveModule(globalName, modulePath) {
+        if (typeof window !== 'undefined' && window[globalName]) {
+            return window[globalName];
+        }
+
+        if (typeof require === 'function') {
+            try {
+                return require(modulePath);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LanguageNegotiator;
+} else if (typeof window !== 'undefined') {
+    window.LanguageNegotiator = LanguageNegotiator;
+}
@@ -13,6 +13,8 @@ class LazyLoader {
             sectionThreshold: 0.1,
             // Root margin for intersection observer
             rootMargin: '50px 0px',
+            // I18n instance used to load each section's data-i18n-ns namespaces
+            i18n: null,
             // Enable debug logging
             debug: window.location.hostname === 'localhost' || window.location.search.includes('debug=true'),
             ...options
@@ -203,6 +205,8 @@ class LazyLoader {
      */
     loadSection(section, isCritical = false) {
         if (section.dataset.lazyLoaded === 'true') {
+            // Sections shipped already revealed still need their translations
+            this.loadSectionTranslations(section);
             return; // Already loaded
         }
 
@@ -222,13 +226,36 @@ class LazyLoader {
             this.loadImage(img);
         });
         
-        // Trigger animation if needed
-        this.animateSection(section);
+        // Reveal once the section's translations are in (or have failed)
+        this.loadSectionTranslations(section).then(() => {
+            this.animateSection(section);
+        });
         
         // Mark performance
         this.markPerformance(`section_loaded_${section.id || 'unknown'}`);
     }
 
+    /**
+     * Load the i18n namespaces a section declares in data-i18n-ns
+     * and translate it before it is revealed
+     */
+    async loadSectionTranslations(section) {
+        const i18n = this.options.i18n;
+        const namespaces = (section.dataset.i18nNs || '').split(/\s+/).filter(Boolean);
+
+        if (!i18n || namespaces.length === 0) {
+            return;
+        }
+
+        try {
+            await i18n.loadNamespaces(namespaces);
+            i18n.updateDOM(section);
+            this.log(`Translations ready for ${section.id || 'section'}: ${namespaces.join(', ')}`);
+        } catch (error) {
+            this.log(`Failed to load translations for ${section.id || 'section'}:`, error);
+        }
+    }
+
     /**
      * Load an image
      */
@@ -315,6 +342,11 @@ class LazyLoader {
      */
     loadAllContent() {
         this.log('Loading all content immediately...');
+
+        // Sections are never observed here, so fetch every namespace now
+        document.querySelectorAll('[data-i18n-ns]').forEach(section => {
+            this.loadSectionTranslations(section);
+        });
         
         // Load all sections
         this.sectionsToLazyLoad.forEach(section => {
@@ -0,0 +1,248 @@
+/**
+ * Locale Manifest
+ * Reads locales/manifest.json, the single list of supported languages with
+ * their names, flags, direction, fallback chains, timezones, countries and fonts
+ */
+class LocaleManifest {
+    /**
+     * @param {Object} data - Parsed manifest.json
+     */
+    constructor(data = {}) {
+        this.locales = (data.locales || []).map(locale => ({
+            nativeName: locale.code,
+            name: locale.code,
+            flag: '',
+            direction: 'ltr',
+            fallback: [],
+            browserLanguages: [],
+            timezones: {},
+            countries: {}, // ISO 3166 codes by market, like timezones
+            fonts: null,
+            namespaces: null, // null = every namespace is translated
+            ...locale
+        }));
+
+        if (this.locales.length === 0) {
+            throw new Error('Locale manifest lists no locales');
+        }
+
+        // Bundles other locales overlay (e.g. es under es-MX); listed in fallback chains, never selectable
+        this.baseLocales = (data.baseLocales || []).map(locale => ({
+            name: locale.code,
+            namespaces: null,
+            ...locale
+        }));
+
+        this.defaultLanguage = data.defaultLanguage || this.locales[0].code;
+        this.fallbackLanguage = data.fallbackLanguage || this.defaultLanguage;
+        this.namespaces = data.namespaces || null;
+        this.byCode = new Map(this.locales.map(locale => [locale.code, locale]));
+        this.baseByCode = new Map(this.baseLocales.map(locale => [locale.code, locale]));
+    }
+
+    /**
+     * Fetch and parse the manifest
+     * @param {string} url - Manifest URL
+     * @param {Object} options - { loader: url => Promise<Object> } to read it without fetch
+     * @returns {Promise<LocaleManifest>}
+     */
+    static async load(url = '/locales/manifest.json', options = {}) {
+        if (options.loader) {
+            return new LocaleManifest(await options.loader(url));
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load locale manifest: ${response.status} ${response.statusText}`);
+        }
+
+        return new LocaleManifest(await response.json());
+    }
+
+    /**
+     * Supported language codes, in manifest order
+     * @returns {string[]}
+     */
+    getCodes() {
+        return this.locales.map(locale => locale.code);
+    }
+
+    /**
+     * Base locale codes, e.g. ['es']
+     * @returns {string[]}
+     */
+    getBaseLocaleCodes() {
+        return this.baseLocales.map(locale => locale.code);
+    }
+
+    /**
+     * Get a locale entry
+     * @param {string} code - Language code
+     * @returns {Object|null}
+     */
+    getLocale(code) {
+        return this.byCode.get(code) || null;
+    }
+
+    has(code) {
+        return this.byCode.has(code);
+    }
+
+    getNativeName(code) {
+        const locale = this.getLocale(code);
+        return locale ? locale.nativeName : code;
+    }
+
+    getFlag(code) {
+        const locale = this.getLocale(code);
+        return locale ? locale.flag : '';
+    }
+
+    getDirection(code) {
+        const locale = this.getLocale(code);
+        return locale ? locale.direction : 'ltr';
+    }
+
+    getFonts(code) {
+        const locale = this.getLocale(code);
+        return locale ? locale.fonts : null;
+    }
+
+    /**
+     * Whether a locale has its own bundle for a namespace. Unfinished locales
+     * list the bundles they have; the rest resolve through their fallback chain
+     * @param {string} code - Language code
+     * @param {string} namespace - Namespace name
+     * @returns {boolean}
+     */
+    hasNamespace(code, namespace) {
+        const locale = this.getLocale(code) || this.baseByCode.get(code);
+        return Boolean(locale) && (!locale.namespaces || locale.namespaces.includes(namespace));
+    }
+
+    /**
+     * Per-key lookup chains in the shape I18n expects for fallbackChains
+     * @returns {Object} e.g. { 'es-MX': ['en-SG'] }
+     */
+    getFallbackChains() {
+        return Object.fromEntries(this.locales.map(locale => [locale.code, [...locale.fallback]]));
+    }
+
+    /**
+     * Find the locale for a timezone
+     * @param {string} timezone - IANA timezone, e.g. 'Asia/Singapore'
+     * @returns {{ language: string, market: string }|null}
+     */
+    findByTimezone(timezone) {
+        return this.findAllByTimezone(timezone)[0] || null;
+    }
+
+    /**
+     * Every locale spoken in a timezone, in manifest order; Singapore, for
+     * instance, has one per official language
+     * @param {string} timezone - IANA timezone
+     * @returns {Array<{ language: string, market: string }>}
+     */
+    findAllByTimezone(timezone) {
+        const matches = [];
+
+        this.locales.forEach(locale => {
+            Object.entries(locale.timezones).forEach(([market, timezones]) => {
+                if (timezones.includes(timezone)) {
+                    matches.push({ language: locale.code, market });
+                }
+            });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Every locale spoken in a country, in manifest order
+     * @param {string} country - ISO 3166-1 alpha-2 code, e.g. 'SG' (any case)
+     * @returns {Array<{ language: string, market: string }>}
+     */
+    findAllByCountry(country) {
+        const code = String(country || '').toUpperCase();
+        const matches = [];
+
+        this.locales.forEach(locale => {
+            Object.entries(locale.countries).forEach(([market, countries]) => {
+                if (countries.includes(code)) {
+                    matches.push({ language: locale.code, market });
+                }
+            });
+        });
+
+        return matches;
+    }
+
+    /**
+     * Every timezone grouped by market, e.g. { primary: [...], supplier: [...] }
+     */
+    getTimezonesByMarket() {
+        const markets = {};
+
+        this.locales.forEach(locale => {
+            Object.entries(locale.timezones).forEach(([market, timezones]) => {
+                markets[market] = [...(markets[market] || []), ...timezones];
+            });
+        });
+
+        return markets;
+    }
+
+    /**
+     * Map any language tag to a supported code: exact match first (case
+     * insensitive), then the locale that claims the tag's base language and
+     * writes it in the same script, so zh-CN and zh-SG reach zh-Hans-SG while
+     * zh-TW and zh-HK (Traditional) do not
+     * @param {string} tag - e.g. 'es-AR', 'en_us', 'EN-SG', 'zh-Hant-HK'
+     * @returns {string|null}
+     */
+    matchLanguage(tag) {
+        if (!tag) return null;
+
+        const clean = String(tag).replace(/_/g, '-').toLowerCase();
+        const exact = this.locales.find(locale => locale.code.toLowerCase() === clean);
+        if (exact) {
+            return exact.code;
+        }
+
+        const base = clean.split('-')[0];
+        const script = LocaleManifest.getScript(clean);
+        const claimed = this.locales.find(locale => {
+            if (!locale.browserLanguages.includes(base)) return false;
+
+            const localeScript = LocaleManifest.getScript(locale.code);
+            return !script || !localeScript || script === localeScript;
+        });
+        return claimed ? claimed.code : null;
+    }
+
+    /**
+     * Writing system of a language tag: the explicit script subtag, else the
+     * likely script for its language and region (zh-TW → Hant, zh → Hans)
+     * @param {string} tag - Language tag
+     * @returns {string|null} Script code such as 'Hans', or null if unknown
+     */
+    static getScript(tag) {
+        const explicit = String(tag).split('-').slice(1).find(part => /^[a-z]{4}$/i.test(part));
+        if (explicit) {
+            return explicit[0].toUpperCase() + explicit.slice(1).toLowerCase();
+        }
+
+        try {
+            return new Intl.Locale(tag).maximize().script || null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocaleManifest;
+} else if (typeof window !== 'undefined') {
+    window.LocaleManifest = LocaleManifest;
+}
@@ -0,0 +1,191 @@
+/**
+ * Pseudo-Localizer
+ * Turns source strings into accented, length-expanded and bracketed text
+ * ("Home" → "[Ĥöɱé ~~]") for the qps-ploc pseudo-locale, so hard-coded
+ * English and clipped layouts stand out without a locale file
+ */
+class PseudoLocalizer {
+    constructor(options = {}) {
+        // Extra length relative to the source text; translations often run ~40% longer
+        this.expansion = options.expansion ?? 0.4;
+        this.padding = options.padding || '~';
+
+        // Keys whose values are codes rather than copy
+        this.excludedKeys = options.excludedKeys || ['meta.languageCode', 'meta.direction', 'meta.flag', 'meta.ogLocale'];
+
+        this.characters = {
+            a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'í', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+            n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+            A: 'Á', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Í', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+            N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+        };
+
+        // Runs copied unchanged: {{placeholders}}, tags, entities, URLs and e-mail addresses
+        this.protectedRegex = /\{\{[^}]*\}\}|<[^>]*>|&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);|(?:https?:\/\/|mailto:|tel:|www\.)[^\s<>"']+|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+        this.urlRegex = /^(?:[a-z][\w+.-]*:|\/|#|www\.)\S*$/i;
+        this.icuArgumentRegex = /^\{\s*[\w.]+\s*,\s*(plural|selectordinal|select)\s*,/;
+    }
+
+    /**
+     * Pseudo-localize every string in a bundle
+     * @param {Object} bundle - Source translations
+     * @param {string} prefix - Key path of the bundle (used for excluded keys)
+     * @returns {Object} New bundle with the same shape
+     */
+    localizeBundle(bundle, prefix = '') {
+        const result = Array.isArray(bundle) ? [] : {};
+
+        Object.entries(bundle || {}).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (typeof value === 'string') {
+                result[key] = this.excludedKeys.includes(path) ? value : this.localize(value);
+            } else if (value && typeof value === 'object') {
+                result[key] = this.localizeBundle(value, path);
+            } else {
+                result[key] = value;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Pseudo-localize one string
+     * @param {string} text - Source string (may contain placeholders, ICU messages and markup)
+     * @returns {string}
+     */
+    localize(text) {
+        if (!text || !text.trim() || this.urlRegex.test(text.trim())) {
+            return text;
+        }
+
+        const { output, length } = this._transform(text);
+        if (length === 0) {
+            return text;
+        }
+
+        const padding = this.padding.repeat(Math.max(1, Math.round(length * this.expansion)));
+        return `[${output} ${padding}]`;
+    }
+
+    /**
+     * Accent the literal text of a message, descending into ICU branches
+     * @private
+     * @returns {{ output: string, length: number }} Result and count of visible source characters
+     */
+    _transform(text) {
+        let output = '';
+        let length = 0;
+        let index = 0;
+
+        while (index < text.length) {
+            // ICU arguments: {name}, {n, number}, {count, plural, one {...} other {...}}
+            if (text[index] === '{' && text[index + 1] !== '{') {
+                const end = this._findClosingBrace(text, index);
+                const argument = text.slice(index, end + 1);
+                const branched = this._transformIcu(argument);
+
+                output += branched.output;
+                length = Math.max(length, branched.length);
+                index = end + 1;
+                continue;
+            }
+
+            this.protectedRegex.lastIndex = index;
+            const match = this.protectedRegex.exec(text);
+            const next = this._nextSpecial(text, index, match);
+
+            if (match && match.index === index) {
+                output += match[0];
+                index += match[0].length;
+                continue;
+            }
+
+            const literal = text.slice(index, next);
+            output += this._accent(literal);
+            length += literal.length;
+            index = next;
+        }
+
+        return { output, length };
+    }
+
+    /**
+     * Transform the branches of a plural/select argument; simple arguments stay as they are
+     * @private
+     */
+    _transformIcu(argument) {
+        const header = argument.match(this.icuArgumentRegex);
+        if (!header) {
+            return { output: argument, length: 0 };
+        }
+
+        let output = header[0];
+        let length = 0;
+        let index = header[0].length;
+
+        while (index < argument.length - 1) {
+            const open = argument.indexOf('{', index);
+            if (open === -1) break;
+
+            // Selector (one, other, =0, offset:1) is kept verbatim
+            output += argument.slice(index, open + 1);
+
+            const close = this._findClosingBrace(argument, open);
+            const branch = this._transform(argument.slice(open + 1, close));
+
+            output += `${branch.output}}`;
+            length = Math.max(length, branch.length);
+            index = close + 1;
+        }
+
+        return { output: output + argument.slice(index), length };
+    }
+
+    /**
+     * Position of the brace closing the one at start (or the end of the text)
+     * @private
+     */
+    _findClosingBrace(text, start) {
+        let depth = 0;
+
+        for (let i = start; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            if (text[i] === '}' && --depth === 0) return i;
+        }
+
+        return text.length - 1;
+    }
+
+    /**
+     * End of the literal run starting at index
+     * @private
+     */
+    _nextSpecial(text, index, match) {
+        let next = match ? match.index : text.length;
+
+        for (let i = index; i < next; i++) {
+            if (text[i] === '{' && text[i + 1] !== '{') {
+                next = i;
+                break;
+            }
+        }
+
+        return next;
+    }
+
+    /**
+     * @private
+     */
+    _accent(text) {
+        return text.replace(/[a-z]/gi, character => this.characters[character] || character);
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PseudoLocalizer;
+} else if (typeof window !== 'undefined') {
+    window.PseudoLocalizer = PseudoLocalizer;
+}
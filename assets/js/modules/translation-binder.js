@@ -0,0 +1,160 @@
+/**
+ * Translation Binder
+ * Applies locales/bindings.json, the declarative map from page elements to
+ * translation keys, and reports bindings the markup no longer satisfies
+ */
+class TranslationBinder {
+    /**
+     * @param {Object} data - Parsed bindings.json ({ bindings: [...] })
+     *
+     * Each binding: { selector, key, nth?, attribute?, params?, html?, count? }
+     * - nth: bind only the nth match (0-based); without it every match is bound
+     * - attribute: translate this attribute instead of the text (data-i18n-attr)
+     * - params: interpolation values (data-i18n-params)
+     * - html: the translation contains markup (data-i18n-html)
+     * - count: number of elements the selector must match
+     */
+    constructor(data = {}) {
+        this.bindings = (data.bindings || []).filter(binding => binding.selector && binding.key);
+    }
+
+    /**
+     * Fetch and parse a bindings file
+     * @param {string} url - Bindings URL
+     * @param {Object} options - { loader: url => Promise<Object> } to read it without fetch
+     * @returns {Promise<TranslationBinder>}
+     */
+    static async load(url = '/locales/bindings.json', options = {}) {
+        if (options.loader) {
+            return new TranslationBinder(await options.loader(url));
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load translation bindings: ${response.status} ${response.statusText}`);
+        }
+
+        return new TranslationBinder(await response.json());
+    }
+
+    /**
+     * Write the data-i18n attributes for every binding
+     * @param {Document|Element} root - Where to look for elements
+     * @returns {Object} Report: { applied, unmatched, countMismatches, missingIndex }
+     */
+    apply(root = document) {
+        const report = {
+            applied: 0,
+            unmatched: [],       // selectors that matched nothing
+            countMismatches: [], // { selector, expected, actual }
+            missingIndex: []     // { selector, nth, actual }: fewer matches than nth needs
+        };
+        const matches = new Map();
+
+        this.bindings.forEach(binding => {
+            if (!matches.has(binding.selector)) {
+                matches.set(binding.selector, this._query(root, binding.selector));
+            }
+            const elements = matches.get(binding.selector);
+
+            if (elements.length === 0) {
+                if (!report.unmatched.includes(binding.selector)) {
+                    report.unmatched.push(binding.selector);
+                }
+                return;
+            }
+
+            if (binding.count !== undefined && binding.count !== elements.length) {
+                report.countMismatches.push({ selector: binding.selector, expected: binding.count, actual: elements.length });
+            }
+
+            if (binding.nth !== undefined) {
+                if (!elements[binding.nth]) {
+                    report.missingIndex.push({ selector: binding.selector, nth: binding.nth, actual: elements.length });
+                    return;
+                }
+                this._bind(elements[binding.nth], binding);
+                report.applied++;
+                return;
+            }
+
+            elements.forEach(element => this._bind(element, binding));
+            report.applied += elements.length;
+        });
+
+        this._warn(report);
+        return report;
+    }
+
+    /**
+     * Whether a report found bindings that no longer fit the markup
+     * @param {Object} report - Result of apply()
+     * @returns {boolean}
+     */
+    static hasProblems(report) {
+        return report.unmatched.length > 0 || report.countMismatches.length > 0 || report.missingIndex.length > 0;
+    }
+
+    /**
+     * @private
+     */
+    _query(root, selector) {
+        try {
+            return Array.from(root.querySelectorAll(selector));
+        } catch (error) {
+            console.warn(`Invalid binding selector "${selector}":`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Set the attributes I18n reads for one element
+     * @private
+     */
+    _bind(element, binding) {
+        if (binding.attribute) {
+            // Keep other attribute bindings already on the element
+            const pairs = (element.getAttribute('data-i18n-attr') || '')
+                .split(';')
+                .map(pair => pair.trim())
+                .filter(pair => pair && pair.split(':')[0].trim().toLowerCase() !== binding.attribute.toLowerCase());
+
+            pairs.push(`${binding.attribute}:${binding.key}`);
+            element.setAttribute('data-i18n-attr', pairs.join(';'));
+        } else {
+            element.setAttribute('data-i18n', binding.key);
+        }
+
+        if (binding.html) {
+            element.setAttribute('data-i18n-html', '');
+        }
+
+        if (binding.params) {
+            element.setAttribute('data-i18n-params', JSON.stringify(binding.params));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _warn(report) {
+        if (!TranslationBinder.hasProblems(report)) return;
+
+        report.unmatched.forEach(selector => {
+            console.warn(`⚠️ Translation binding matched no elements: ${selector}`);
+        });
+        report.countMismatches.forEach(({ selector, expected, actual }) => {
+            console.warn(`⚠️ Translation binding expected ${expected} element(s) for ${selector}, found ${actual}`);
+        });
+        report.missingIndex.forEach(({ selector, nth, actual }) => {
+            console.warn(`⚠️ Translation binding needs element #${nth} of ${selector}, found only ${actual}`);
+        });
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationBinder;
+} else if (typeof window !== 'undefined') {
+    window.TranslationBinder = TranslationBinder;
+}
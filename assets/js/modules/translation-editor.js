@@ -0,0 +1,537 @@
+/**
+ * In-Context Translation Editor
+ * Debug overlay for reviewers: outlines translated elements, shows their keys
+ * on hover and edits strings in place (Alt+click) with a live preview.
+ * Changes export as JSON Patch (RFC 6902) or as updated locale files.
+ */
+class TranslationEditor {
+    /**
+     * @param {I18n} i18n - The page's I18n instance
+     * @param {Object} options - { modifierKey: 'altKey' }
+     */
+    constructor(i18n, options = {}) {
+        this.i18n = i18n;
+        this.modifierKey = options.modifierKey || 'altKey';
+        this.selector = '[data-i18n], [data-i18n-attr]';
+        this.changes = new Map(); // 'lang:key' -> { key, language, original, value }
+        this.enabled = false;
+        this.activeElement = null;
+        this.ui = {};
+
+        this.handleMouseOver = this.handleMouseOver.bind(this);
+        this.handleMouseOut = this.handleMouseOut.bind(this);
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.reapplyChanges = this.reapplyChanges.bind(this);
+        this.updateToolbar = this.updateToolbar.bind(this);
+    }
+
+    /**
+     * Show the overlay and start listening for Alt+click
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+
+        this._createInterface();
+        document.documentElement.classList.add('i18n-editor-active');
+
+        document.addEventListener('mouseover', this.handleMouseOver);
+        document.addEventListener('mouseout', this.handleMouseOut);
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        // Background revalidation replaces bundles; keep the reviewer's edits on top
+        this.i18n.on('languageUpdated', this.reapplyChanges);
+        this.i18n.on('languageChanged', this.updateToolbar);
+
+        this.updateToolbar();
+        console.log('📝 Translation editor enabled: Alt+click a highlighted element to edit it');
+    }
+
+    /**
+     * Remove the overlay (recorded changes are kept)
+     */
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+
+        document.documentElement.classList.remove('i18n-editor-active');
+        document.removeEventListener('mouseover', this.handleMouseOver);
+        document.removeEventListener('mouseout', this.handleMouseOut);
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.i18n.off('languageUpdated', this.reapplyChanges);
+        this.i18n.off('languageChanged', this.updateToolbar);
+
+        Object.values(this.ui).forEach(node => node.remove());
+        this.ui = {};
+        this.activeElement = null;
+    }
+
+    handleMouseOver(event) {
+        const element = this._getTranslatedElement(event.target);
+        if (!element) return;
+
+        const keys = this.getElementKeys(element)
+            .map(({ key, attribute }) => attribute ? `${attribute}: ${key}` : key);
+
+        this.ui.tooltip.textContent = `${keys.join('\n')}\n${this.modifierLabel}+click to edit`;
+        this.ui.tooltip.hidden = false;
+
+        const rect = element.getBoundingClientRect();
+        this.ui.tooltip.style.top = `${Math.max(rect.top - this.ui.tooltip.offsetHeight - 4, 4)}px`;
+        this.ui.tooltip.style.left = `${Math.max(rect.left, 4)}px`;
+    }
+
+    handleMouseOut(event) {
+        if (this._getTranslatedElement(event.target)) {
+            this.ui.tooltip.hidden = true;
+        }
+    }
+
+    handleClick(event) {
+        if (!event[this.modifierKey]) return;
+
+        const element = this._getTranslatedElement(event.target);
+        if (!element) return;
+
+        // Don't follow links or submit forms while editing
+        event.preventDefault();
+        event.stopPropagation();
+        this.openPanel(element);
+    }
+
+    handleKeyDown(event) {
+        if (event.key === 'Escape' && this.activeElement) {
+            this.closePanel();
+        }
+    }
+
+    /**
+     * Keys used by an element: its data-i18n content key, then data-i18n-attr keys
+     * @param {Element} element
+     * @returns {Array<{ key: string, attribute: string|null }>}
+     */
+    getElementKeys(element) {
+        const keys = [];
+
+        if (element.hasAttribute('data-i18n')) {
+            keys.push({ key: element.getAttribute('data-i18n'), attribute: null });
+        }
+
+        if (element.hasAttribute('data-i18n-attr')) {
+            this.i18n._getElementAttributeKeys(element).forEach(({ attribute, key }) => {
+                keys.push({ key, attribute });
+            });
+        }
+
+        return keys;
+    }
+
+    /**
+     * Open the edit panel for an element
+     * @param {Element} element
+     */
+    openPanel(element) {
+        const { panel } = this.ui;
+        const lang = this.i18n.getCurrentLanguage();
+        const params = this.i18n._getElementParams(element);
+
+        this.activeElement = element;
+        panel.querySelector('.i18n-editor-fields').replaceChildren(
+            ...this.getElementKeys(element).map(({ key, attribute }) => this._createField(key, attribute, lang, params))
+        );
+        panel.hidden = false;
+        panel.querySelector('textarea').focus();
+    }
+
+    closePanel() {
+        this.ui.panel.hidden = true;
+        this.activeElement = null;
+    }
+
+    /**
+     * Change a string and re-render every element that uses it
+     * @param {string} key - Translation key
+     * @param {string} value - New string
+     * @param {string} lang - Language code (defaults to the current language)
+     */
+    setTranslation(key, value, lang = this.i18n.getCurrentLanguage()) {
+        const id = `${lang}:${key}`;
+
+        if (!this.changes.has(id)) {
+            this.changes.set(id, { key, language: lang, original: this._getOwnValue(key, lang), value });
+        }
+
+        const change = this.changes.get(id);
+        change.value = value;
+
+        if (change.value === change.original) {
+            this.changes.delete(id);
+        }
+
+        this._writeValue(key, value, lang);
+        this._refresh(lang);
+    }
+
+    /**
+     * Undo the edit of one key
+     */
+    revert(key, lang = this.i18n.getCurrentLanguage()) {
+        const id = `${lang}:${key}`;
+        const change = this.changes.get(id);
+        if (!change) return;
+
+        this.changes.delete(id);
+        this._writeValue(key, change.original, lang);
+        this._refresh(lang);
+    }
+
+    /**
+     * Undo every edit
+     */
+    discardChanges() {
+        [...this.changes.values()].forEach(({ key, language }) => this.revert(key, language));
+    }
+
+    /**
+     * Re-apply edits after their bundle was replaced
+     */
+    reapplyChanges() {
+        this.changes.forEach(({ key, language, value }) => this._writeValue(key, value, language));
+        this.i18n.updateDOM();
+    }
+
+    /**
+     * Recorded edits with the namespace file each belongs to
+     * @param {string} lang - Language code (all languages when omitted)
+     * @returns {Array<{ key, language, namespace, file, original, value }>}
+     */
+    getChanges(lang = null) {
+        return [...this.changes.values()]
+            .filter(change => !lang || change.language === lang)
+            .map(change => {
+                const namespace = this._getNamespace(change.key, change.language);
+                return { ...change, namespace, file: this._getFilePath(change.language, namespace) };
+            });
+    }
+
+    /**
+     * Edits as one JSON Patch per locale file
+     * @param {string} lang - Language code (defaults to the current language)
+     * @returns {Object} e.g. { 'locales/es-MX/core.json': [{ op: 'replace', path: '/nav/home', value: 'Inicio' }] }
+     */
+    exportPatch(lang = this.i18n.getCurrentLanguage()) {
+        const patches = {};
+
+        this.getChanges(lang).forEach(({ key, namespace, file, value }) => {
+            const bundle = this._getNamespaceBundle(lang, namespace);
+            patches[file] = patches[file] || [];
+            patches[file].push(...this._createOperations(bundle, key, value, patches[file]));
+        });
+
+        return patches;
+    }
+
+    /**
+     * Locale files with the edits applied
+     * @param {string} lang - Language code (defaults to the current language)
+     * @returns {Object} File path -> bundle
+     */
+    getUpdatedLocaleFiles(lang = this.i18n.getCurrentLanguage()) {
+        const files = {};
+
+        this.getChanges(lang).forEach(({ key, namespace, file, value }) => {
+            if (!files[file]) {
+                files[file] = JSON.parse(JSON.stringify(this._getNamespaceBundle(lang, namespace)));
+            }
+            this._setNested(files[file], key, value, true);
+        });
+
+        return files;
+    }
+
+    /**
+     * Download every locale file that has edits
+     */
+    downloadLocaleFiles(lang = this.i18n.getCurrentLanguage()) {
+        Object.entries(this.getUpdatedLocaleFiles(lang)).forEach(([file, bundle]) => {
+            this._download(file.split('/').slice(-2).join('-'), JSON.stringify(bundle, null, 2));
+        });
+    }
+
+    downloadPatch(lang = this.i18n.getCurrentLanguage()) {
+        this._download(`${lang}.patch.json`, JSON.stringify(this.exportPatch(lang), null, 2));
+    }
+
+    updateToolbar() {
+        if (!this.ui.toolbar) return;
+
+        const lang = this.i18n.getCurrentLanguage();
+        const count = this.getChanges(lang).length;
+
+        this.ui.toolbar.querySelector('.i18n-editor-status').textContent =
+            `Translation editor · ${lang} · ${count} ${count === 1 ? 'change' : 'changes'}`;
+        this.ui.toolbar.querySelectorAll('button').forEach(button => {
+            button.disabled = count === 0;
+        });
+    }
+
+    get modifierLabel() {
+        return { altKey: 'Alt', ctrlKey: 'Ctrl', metaKey: 'Meta', shiftKey: 'Shift' }[this.modifierKey] || this.modifierKey;
+    }
+
+    /**
+     * The translated element an event target belongs to (never the editor's own UI)
+     * @private
+     */
+    _getTranslatedElement(target) {
+        if (!target || !target.closest || target.closest('.i18n-editor-ui')) return null;
+        return target.closest(this.selector);
+    }
+
+    /**
+     * One editable row: source text for reference, textarea and preview
+     * @private
+     */
+    _createField(key, attribute, lang, params) {
+        const field = document.createElement('div');
+        field.className = 'i18n-editor-field';
+
+        const label = document.createElement('div');
+        label.className = 'i18n-editor-key';
+        label.textContent = attribute ? `${key} (${attribute})` : key;
+
+        const source = document.createElement('div');
+        source.className = 'i18n-editor-source';
+        const sourceValue = this.i18n._getNestedProperty(this.i18n.translations[this.i18n.fallbackLanguage] || {}, key);
+        source.textContent = `${this.i18n.fallbackLanguage}: ${sourceValue ?? '—'}`;
+
+        const textarea = document.createElement('textarea');
+        const resolved = this.i18n._resolveKey(key, lang);
+        textarea.value = resolved && typeof resolved.value === 'string' ? resolved.value : '';
+        textarea.rows = Math.min(Math.max(textarea.value.split('\n').length, 2), 8);
+
+        const preview = document.createElement('div');
+        preview.className = 'i18n-editor-preview';
+
+        const renderPreview = () => {
+            preview.textContent = this.i18n.translate(key, params);
+        };
+
+        textarea.addEventListener('input', () => {
+            this.setTranslation(key, textarea.value, lang);
+            renderPreview();
+        });
+
+        const revert = document.createElement('button');
+        revert.type = 'button';
+        revert.textContent = 'Revert';
+        revert.addEventListener('click', () => {
+            this.revert(key, lang);
+            const restored = this.i18n._resolveKey(key, lang);
+            textarea.value = restored && typeof restored.value === 'string' ? restored.value : '';
+            renderPreview();
+        });
+
+        renderPreview();
+        field.append(label, source, textarea, preview, revert);
+        return field;
+    }
+
+    /**
+     * Value the language's own bundle has for a key (undefined when it falls back)
+     * @private
+     */
+    _getOwnValue(key, lang) {
+        return this.i18n._getNestedProperty(this.i18n.translations[lang] || {}, key);
+    }
+
+    /**
+     * Write a value into the loaded translations without touching the cached bundles
+     * @private
+     */
+    _writeValue(key, value, lang) {
+        this.i18n.translations[lang] = this._setNested(this.i18n.translations[lang] || {}, key, value);
+    }
+
+    /**
+     * Set a dotted key; copies each object along the path unless inPlace
+     * @private
+     */
+    _setNested(root, key, value, inPlace = false) {
+        const parts = key.split('.');
+        const result = inPlace ? root : { ...root };
+        let target = result;
+
+        parts.slice(0, -1).forEach(part => {
+            const next = target[part] && typeof target[part] === 'object' ? target[part] : {};
+            target[part] = inPlace ? next : { ...next };
+            target = target[part];
+        });
+
+        const last = parts[parts.length - 1];
+        if (value === undefined) {
+            delete target[last];
+        } else {
+            target[last] = value;
+        }
+
+        return result;
+    }
+
+    /**
+     * Namespace that owns a key's top-level section (null in single-bundle mode)
+     * @private
+     */
+    _getNamespace(key, lang) {
+        if (!this.i18n.namespaces) return null;
+
+        const section = key.split('.')[0];
+        const owns = code => namespace => {
+            const bundle = this.i18n.cache.get(`translations_${code}/${namespace}`);
+            return bundle && Object.prototype.hasOwnProperty.call(bundle, section);
+        };
+
+        return this.i18n.namespaces.find(owns(lang)) ||
+            this.i18n.namespaces.find(owns(this.i18n.fallbackLanguage)) ||
+            this.i18n.namespaces[0];
+    }
+
+    /**
+     * The bundle as loaded from its file, before any edits
+     * @private
+     */
+    _getNamespaceBundle(lang, namespace) {
+        const id = namespace ? `translations_${lang}/${namespace}` : `translations_${lang}`;
+        return this.i18n.cache.get(id) || {};
+    }
+
+    _getFilePath(lang, namespace) {
+        const base = this.i18n.basePath.replace(/^\//, '');
+        return namespace ? `${base}${lang}/${namespace}.json` : `${base}${lang}.json`;
+    }
+
+    /**
+     * JSON Patch operations setting a key, adding missing parent objects first
+     * @private
+     */
+    _createOperations(bundle, key, value, existing) {
+        const parts = key.split('.');
+        const pointer = segments => '/' + segments.map(part => part.replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+        const operations = [];
+        let current = bundle;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            current = current && typeof current === 'object' ? current[parts[i]] : undefined;
+            const path = pointer(parts.slice(0, i + 1));
+
+            if (current === undefined && !existing.some(operation => operation.path === path)) {
+                operations.push({ op: 'add', path, value: {} });
+            }
+        }
+
+        const exists = current && typeof current === 'object' && parts[parts.length - 1] in current;
+        operations.push(value === undefined
+            ? { op: 'remove', path: pointer(parts) }
+            : { op: exists ? 'replace' : 'add', path: pointer(parts), value });
+        return operations;
+    }
+
+    _refresh(lang) {
+        if (lang === this.i18n.getCurrentLanguage()) {
+            this.i18n.updateDOM();
+        }
+        this._markEditedElements();
+        this.updateToolbar();
+    }
+
+    /**
+     * Outline elements whose strings were edited
+     * @private
+     */
+    _markEditedElements() {
+        const lang = this.i18n.getCurrentLanguage();
+        const edited = new Set(this.getChanges(lang).map(change => change.key));
+
+        document.querySelectorAll(this.selector).forEach(element => {
+            const isEdited = this.getElementKeys(element).some(({ key }) => edited.has(key));
+            element.classList.toggle('i18n-editor-edited', isEdited);
+        });
+    }
+
+    _download(filename, content) {
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Build the tooltip, edit panel, toolbar and their styles
+     * @private
+     */
+    _createInterface() {
+        const style = document.createElement('style');
+        style.className = 'i18n-editor-ui';
+        style.textContent = `
+            .i18n-editor-active [data-i18n], .i18n-editor-active [data-i18n-attr] { outline: 1px dashed rgba(255, 102, 0, 0.8); outline-offset: 2px; }
+            .i18n-editor-active .i18n-editor-edited { outline: 2px solid #1a9c4a; }
+            .i18n-editor-ui { font: 12px/1.4 Inter Tight, sans-serif; color: #121212; z-index: 100000; }
+            .i18n-editor-tooltip { position: fixed; background: #121212; color: #fff; padding: 4px 8px; border-radius: 4px; white-space: pre; pointer-events: none; }
+            .i18n-editor-panel, .i18n-editor-toolbar { position: fixed; right: 16px; background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15); padding: 12px; }
+            .i18n-editor-panel { bottom: 72px; width: 360px; max-height: 60vh; overflow: auto; }
+            .i18n-editor-toolbar { bottom: 16px; display: flex; gap: 8px; align-items: center; }
+            .i18n-editor-field { margin-bottom: 12px; }
+            .i18n-editor-key { font-weight: 600; }
+            .i18n-editor-source, .i18n-editor-preview { color: #666; margin: 4px 0; }
+            .i18n-editor-panel textarea { width: 100%; box-sizing: border-box; font: inherit; }
+        `;
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'i18n-editor-ui i18n-editor-tooltip';
+        tooltip.hidden = true;
+
+        const panel = document.createElement('div');
+        panel.className = 'i18n-editor-ui i18n-editor-panel';
+        panel.hidden = true;
+        const fields = document.createElement('div');
+        fields.className = 'i18n-editor-fields';
+        panel.append(fields, this._createButton('Done', () => this.closePanel()));
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'i18n-editor-ui i18n-editor-toolbar';
+        const status = document.createElement('span');
+        status.className = 'i18n-editor-status';
+        toolbar.append(
+            status,
+            this._createButton('Download patch', () => this.downloadPatch()),
+            this._createButton('Download files', () => this.downloadLocaleFiles()),
+            this._createButton('Discard', () => this.discardChanges())
+        );
+
+        document.head.appendChild(style);
+        document.body.append(tooltip, panel, toolbar);
+        this.ui = { style, tooltip, panel, toolbar };
+    }
+
+    _createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationEditor;
+} else if (typeof window !== 'undefined') {
+    window.TranslationEditor = TranslationEditor;
+}
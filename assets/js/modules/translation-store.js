@@ -0,0 +1,188 @@
+/**
+ * Persistent Translation Store
+ * Keeps loaded locale bundles across page views in IndexedDB,
+ * falling back to localStorage and finally to memory
+ */
+class TranslationStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'foxtrading_i18n';
+        this.storeName = options.storeName || 'bundles';
+        this.storagePrefix = options.storagePrefix || 'foxtrading_i18n_';
+        this.backend = options.backend || null; // 'indexeddb' | 'localstorage' | 'memory'
+        this.memory = new Map();
+        this.dbPromise = null;
+    }
+
+    /**
+     * Read a stored bundle record
+     * @param {string} id - Bundle id, e.g. 'es-MX/core'
+     * @returns {Promise<Object|null>} { data, version, hash, storedAt } or null
+     */
+    async get(id) {
+        const backend = await this.getBackend();
+
+        try {
+            if (backend === 'indexeddb') {
+                const record = await this._request('readonly', store => store.get(id));
+                return record || null;
+            }
+
+            if (backend === 'localstorage') {
+                const raw = localStorage.getItem(this.storagePrefix + id);
+                return raw ? JSON.parse(raw) : null;
+            }
+        } catch (error) {
+            console.warn(`Failed to read cached translations ${id}:`, error);
+            return null;
+        }
+
+        return this.memory.get(id) || null;
+    }
+
+    /**
+     * Store a bundle record
+     * @param {string} id - Bundle id
+     * @param {Object} record - { data, version, hash }
+     */
+    async set(id, record) {
+        const backend = await this.getBackend();
+        const value = { ...record, storedAt: Date.now() };
+
+        try {
+            if (backend === 'indexeddb') {
+                await this._request('readwrite', store => store.put(value, id));
+                return;
+            }
+
+            if (backend === 'localstorage') {
+                localStorage.setItem(this.storagePrefix + id, JSON.stringify(value));
+                return;
+            }
+        } catch (error) {
+            // Quota exceeded or storage blocked: keep it for this page view only
+            console.warn(`Failed to persist translations ${id}:`, error);
+        }
+
+        this.memory.set(id, value);
+    }
+
+    /**
+     * Remove every stored bundle
+     */
+    async clear() {
+        const backend = await this.getBackend();
+        this.memory.clear();
+
+        try {
+            if (backend === 'indexeddb') {
+                await this._request('readwrite', store => store.clear());
+            } else if (backend === 'localstorage') {
+                Object.keys(localStorage)
+                    .filter(key => key.startsWith(this.storagePrefix))
+                    .forEach(key => localStorage.removeItem(key));
+            }
+        } catch (error) {
+            console.warn('Failed to clear cached translations:', error);
+        }
+    }
+
+    /**
+     * Pick the first storage backend that works here
+     * @returns {Promise<string>}
+     */
+    async getBackend() {
+        if (this.backend) {
+            return this.backend;
+        }
+
+        if (typeof indexedDB !== 'undefined') {
+            try {
+                await this._openDatabase();
+                this.backend = 'indexeddb';
+                return this.backend;
+            } catch (error) {
+                // Private browsing modes may refuse IndexedDB
+                this.dbPromise = null;
+            }
+        }
+
+        this.backend = this._isLocalStorageAvailable() ? 'localstorage' : 'memory';
+        return this.backend;
+    }
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @private
+     */
+    _openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request in its own transaction
+     * @private
+     */
+    async _request(mode, operation) {
+        const db = await this._openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Check localStorage can actually be written
+     * @private
+     */
+    _isLocalStorageAvailable() {
+        try {
+            const testKey = `${this.storagePrefix}test`;
+            localStorage.setItem(testKey, '1');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Content hash (32-bit FNV-1a) used to tell whether a bundle changed
+     * @param {string} text - Serialized bundle
+     * @returns {string} Hex digest
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
+
+// Export for both ES6 modules and global usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationStore;
+} else if (typeof window !== 'undefined') {
+    window.TranslationStore = TranslationStore;
+}
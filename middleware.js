@@ -0,0 +1,39 @@
+/**
+ * Vercel Routing Middleware
+ * Negotiates the language of the root page (assets/js/modules/language-negotiator.js)
+ * and redirects to the pre-rendered locale page, e.g. /es-MX. scripts/serve.js
+ * does the same locally.
+ */
+import LocaleManifest from './assets/js/modules/locale-manifest.js';
+import LanguageDetector from './assets/js/modules/language-detector.js';
+import LanguageNegotiator from './assets/js/modules/language-negotiator.js';
+import manifestData from './locales/manifest.json';
+
+export const config = {
+    matcher: ['/', '/index.html']
+};
+
+const negotiator = new LanguageNegotiator({
+    detector: new LanguageDetector({ manifest: new LocaleManifest(manifestData) })
+});
+
+export default function middleware(request) {
+    const decision = negotiator.handle({ url: request.url, headers: request.headers });
+
+    if (decision.action === 'redirect') {
+        return new Response(null, {
+            status: decision.status,
+            headers: { ...decision.headers, Location: new URL(decision.location, request.url).toString() }
+        });
+    }
+
+    // Same headers as @vercel/edge's rewrite() and next()
+    const headers = new Headers(decision.headers);
+    if (decision.action === 'rewrite') {
+        headers.set('x-middleware-rewrite', new URL(decision.destination, request.url).toString());
+    } else {
+        headers.set('x-middleware-next', '1');
+    }
+
+    return new Response(null, { headers });
+}
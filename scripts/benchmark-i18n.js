@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Language Switch Benchmark
+ * Times I18n page updates for a page with many keyed nodes (default 1,500,
+ * like a large product catalog) and counts the DOM writes each one makes.
+ * Runs on the DOM stand-in, so it measures the engine's own cost; layout
+ * cost shows up in the browser's performance panel.
+ *
+ * Usage: node scripts/benchmark-i18n.js [nodes] [rounds]
+ */
+const { parseHTML, Element } = require('./lib/mini-dom');
+const I18n = require('../assets/js/modules/i18n.js');
+
+const NODES = Number(process.argv[2]) || 1500;
+const ROUNDS = Number(process.argv[3]) || 5;
+
+/**
+ * A catalog section with one text node and every fifth with a translated attribute
+ */
+function buildPage(count) {
+    const items = [];
+    for (let i = 0; i < count; i++) {
+        const attr = i % 5 === 0 ? ` data-i18n-attr="title:catalog.item${i}.title"` : '';
+        items.push(`<li><span data-i18n="catalog.item${i}.name"${attr}>Item ${i}</span></li>`);
+    }
+    return `<!DOCTYPE html><html lang="en-SG"><head><title>Benchmark</title></head><body><ul>${items.join('')}</ul></body></html>`;
+}
+
+function buildBundle(count, prefix) {
+    const catalog = {};
+    for (let i = 0; i < count; i++) {
+        catalog[`item${i}`] = { name: `${prefix} ${i}`, title: `${prefix} title ${i}` };
+    }
+    return { meta: { direction: 'ltr' }, catalog };
+}
+
+/**
+ * Count textContent and attribute writes made by I18n
+ */
+function countWrites() {
+    const counter = { writes: 0 };
+    const textContent = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(Element.prototype), 'textContent');
+    const setAttribute = Element.prototype.setAttribute;
+
+    Object.defineProperty(Element.prototype, 'textContent', {
+        get: textContent.get,
+        set(value) {
+            counter.writes++;
+            textContent.set.call(this, value);
+        },
+        configurable: true
+    });
+    Element.prototype.setAttribute = function (name, value) {
+        if (!name.startsWith('data-i18n')) counter.writes++;
+        return setAttribute.call(this, name, value);
+    };
+
+    return counter;
+}
+
+// console.log is silenced while I18n runs
+function print(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+async function measure(label, counter, task) {
+    const times = [];
+    let writes = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+        const before = counter.writes;
+        const start = process.hrtime.bigint();
+        await task(round);
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+        writes = counter.writes - before;
+    }
+
+    times.sort((a, b) => a - b);
+    const median = times[Math.floor(times.length / 2)];
+    print(`  ${label.padEnd(36)} ${median.toFixed(1).padStart(8)} ms  ${String(writes).padStart(6)} writes`);
+}
+
+async function main() {
+    const document = parseHTML(buildPage(NODES));
+    global.document = document;
+    global.window = { document, location: new URL('https://www.ftsgp.com/'), addEventListener() {}, dispatchEvent() {} };
+
+    const bundles = { 'en-SG': buildBundle(NODES, 'Item'), 'es-MX': buildBundle(NODES, 'Artículo') };
+    const i18n = new I18n({
+        supportedLanguages: ['en-SG', 'es-MX'],
+        defaultLanguage: 'en-SG',
+        pseudoLocale: null,
+        domEvents: false,
+        loader: url => Promise.resolve(bundles[url.includes('es-MX') ? 'es-MX' : 'en-SG'])
+    });
+
+    const log = console.log;
+    const counter = countWrites();
+    console.log = () => {};
+
+    try {
+        print(`🏁 ${NODES} keyed nodes, median of ${ROUNDS} rounds`);
+        await i18n.init();
+        await i18n.preloadTranslations(['es-MX']);
+
+        print('Querying the document on every update:');
+        await runScenarios(i18n, counter);
+
+        // The stand-in has no MutationObserver; a silent one lets I18n build
+        // its key index on the next update (nothing is added to the page
+        // during the benchmark)
+        global.MutationObserver = class {
+            observe() {}
+            disconnect() {}
+            takeRecords() {
+                return [];
+            }
+        };
+
+        print('With the key → elements index:');
+        await runScenarios(i18n, counter);
+    } finally {
+        console.log = log;
+    }
+}
+
+async function runScenarios(i18n, counter) {
+    await measure('Switch en-SG → es-MX → en-SG', counter, async () => {
+        await i18n.setLanguage('es-MX');
+        await i18n.setLanguage('en-SG');
+    });
+    await measure('updatePage() with nothing changed', counter, () => i18n.updatePage());
+    await measure('updateKeys() for one key', counter, () => i18n.updateKeys(['catalog.item42.name']));
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+});
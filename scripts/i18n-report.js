@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Translation Coverage Report
+ * Compares every locale with the source locale and checks the keys used by
+ * index.html, locales/bindings.json and the app modules, using I18n.diagnose
+ *
+ * Usage: node scripts/i18n-report.js [--json] [--strict]
+ *   --json    Print the raw report
+ *   --strict  Exit with code 1 when any issue is found
+ */
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../assets/js/modules/i18n.js');
+const LocaleManifest = require('../assets/js/modules/locale-manifest.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const SCRIPT_FILES = ['assets/js/modules/app.js', 'assets/js/modules/i18n.js'];
+
+function loadManifest() {
+    return new LocaleManifest(JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, 'manifest.json'), 'utf8')));
+}
+
+/**
+ * Read and shallow-merge one locale's namespace bundles
+ */
+function readLocale(code) {
+    const dir = path.join(LOCALES_DIR, code);
+    const bundle = {};
+
+    if (!fs.existsSync(dir)) return bundle;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            Object.assign(bundle, JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        });
+
+    return bundle;
+}
+
+/**
+ * Copy the keys of source into target, section by section
+ */
+function mergeDeep(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        target[key] = isObject && target[key] && typeof target[key] === 'object'
+            ? mergeDeep(target[key], value)
+            : value;
+    });
+    return target;
+}
+
+/**
+ * Merge the namespace bundles of every locale in the manifest. Base locales
+ * from a locale's fallback list (es under es-MX) are merged in first, so the
+ * keys it inherits from them count as translated
+ */
+function loadBundles(manifest) {
+    const baseLocales = manifest.getBaseLocaleCodes();
+    const bundles = {};
+
+    manifest.getCodes().forEach(code => {
+        const bases = manifest.getLocale(code).fallback.filter(base => baseLocales.includes(base)).reverse();
+        bundles[code] = [...bases, code].reduce((bundle, layer) => mergeDeep(bundle, readLocale(layer)), {});
+    });
+
+    return bundles;
+}
+
+/**
+ * Keys from data-i18n and data-i18n-attr attributes in the HTML
+ */
+function getHtmlKeys(html) {
+    const keys = [];
+
+    html.replace(/data-i18n="([^"]+)"/g, (match, key) => keys.push(key.trim()));
+    html.replace(/data-i18n-attr="([^"]+)"/g, (match, pairs) => {
+        pairs.split(';').forEach(pair => {
+            const key = pair.split(':')[1];
+            if (key && key.trim()) keys.push(key.trim());
+        });
+    });
+
+    return keys;
+}
+
+/**
+ * Keys bound to elements by locales/bindings.json
+ */
+function getBindingKeys() {
+    const file = path.join(LOCALES_DIR, 'bindings.json');
+    if (!fs.existsSync(file)) return [];
+
+    const { bindings = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return bindings.map(binding => binding.key).filter(Boolean);
+}
+
+/**
+ * Keys passed to t()/translate() plus key-like string literals in a script
+ * (e.g. 'team.member1.name' or 'aria-label:nav.selectLanguage') whose
+ * top-level section exists. A template literal building a key, such as
+ * `consent.categories.${category}`, uses every source key under its prefix
+ */
+function getScriptKeys(code, sections, sourceKeys) {
+    const keys = [];
+
+    code.replace(/\.(?:t|translate)\(\s*['"]([\w.-]+)['"]/g, (match, key) => keys.push(key));
+
+    code.replace(/'([^'\\\n]*)'|"([^"\\\n]*)"|`([^`\\]*)`/g, (match, single, double, template) => {
+        let literal = single ?? double ?? template;
+
+        if (template !== undefined) {
+            literal = template.replace(/([A-Za-z][\w-]*(?:\.[\w-]+)*\.)\$\{[^}]*\}[\w.-]*/g, (expression, prefix) => {
+                if (sections.includes(prefix.split('.')[0])) {
+                    sourceKeys.filter(key => key.startsWith(prefix)).forEach(key => keys.push(key));
+                }
+                return ' ';
+            });
+        }
+
+        literal.replace(/[A-Za-z][\w-]*(?:\.[\w-]+)+/g, key => {
+            if (sections.includes(key.split('.')[0])) keys.push(key);
+        });
+    });
+
+    return keys;
+}
+
+function printList(title, items, format = item => item) {
+    if (items.length === 0) return;
+
+    console.log(`  ${title} (${items.length})`);
+    items.forEach(item => console.log(`    - ${format(item)}`));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const manifest = loadManifest();
+    const sourceLanguage = manifest.fallbackLanguage;
+    const bundles = loadBundles(manifest);
+    const sections = Object.keys(bundles[sourceLanguage] || {});
+    const sourceKeys = [...I18n._flattenBundle(bundles[sourceLanguage] || {}).keys()];
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    const referencedKeys = new Set([...getHtmlKeys(html), ...getBindingKeys()]);
+    SCRIPT_FILES.forEach(file => {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        getScriptKeys(code, sections, sourceKeys).forEach(key => referencedKeys.add(key));
+    });
+
+    const report = I18n.diagnose(bundles, {
+        sourceLanguage,
+        referencedKeys: [...referencedKeys],
+        fallbackChains: manifest.getFallbackChains()
+    });
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`Source locale: ${report.sourceLanguage}`);
+
+        Object.entries(report.languages).forEach(([lang, result]) => {
+            console.log(`\n${lang}: ${(result.coverage * 100).toFixed(1)}% coverage`);
+            printList('Missing keys', result.missing);
+            printList('Extra keys', result.extra);
+            printList('Placeholder mismatches', result.placeholderMismatches,
+                ({ key, expected, actual }) => `${key}: expected [${expected.join(', ')}], got [${actual.join(', ')}]`);
+            printList('Type mismatches', result.typeMismatches,
+                ({ key, expected, actual }) => `${key}: expected ${expected}, got ${actual}`);
+        });
+
+        console.log('\nPage references');
+        printList('Keys without a translation', report.undefinedReferences,
+            ({ key, languages }) => `${key} (${languages.join(', ')})`);
+        printList('Keys shown from a fallback language', report.fallbackReferences,
+            ({ key, resolvedFrom }) => `${key} (${Object.entries(resolvedFrom).map(([lang, from]) => `${lang} → ${from}`).join(', ')})`);
+        printList('Keys no element uses', report.unusedKeys);
+    }
+
+    const hasIssues = report.undefinedReferences.length > 0 ||
+        Object.values(report.languages).some(result =>
+            result.missing.length || result.extra.length ||
+            result.placeholderMismatches.length || result.typeMismatches.length);
+
+    if (args.includes('--strict') && hasIssues) {
+        process.exitCode = 1;
+    }
+}
+
+main();
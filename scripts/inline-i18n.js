@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Inline Critical Translations
+ * Writes the locale manifest and every locale's first-paint sections (meta,
+ * nav, hero) into the <head> of index.html as <script type="application/json"
+ * id="i18n-critical">. The #i18n-critical-apply script after it translates the
+ * top of the page while it is parsed, before the first paint, and
+ * FoxTradingApp.renderCritical reuses it until the full bundles are fetched.
+ * Re-run after editing those sections; the build runs it before prerender.js.
+ *
+ * Usage: node scripts/inline-i18n.js [--check]
+ *   --check  Exit with code 1 when index.html is out of date instead of writing it
+ */
+const fs = require('fs');
+const path = require('path');
+const LocaleManifest = require('../assets/js/modules/locale-manifest.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const INDEX_FILE = path.join(ROOT, 'index.html');
+const CRITICAL_SECTIONS = ['meta', 'nav', 'hero'];
+const SCRIPT_ID = 'i18n-critical';
+const SCRIPT_REGEX = new RegExp(`<script type="application/json" id="${SCRIPT_ID}">[\\s\\S]*?</script>`);
+// Inserted before the <head> script that applies it when the page has no payload yet
+const INSERT_BEFORE = '<script id="i18n-critical-apply">';
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * The critical sections of one locale, from whichever namespaces hold them
+ */
+function getCriticalBundle(manifest, code) {
+    const bundle = {};
+
+    (manifest.namespaces || []).forEach(namespace => {
+        if (!manifest.hasNamespace(code, namespace)) return;
+
+        const file = path.join('locales', code, `${namespace}.json`);
+        if (!fs.existsSync(path.join(ROOT, file))) return;
+
+        const data = readJson(file);
+        CRITICAL_SECTIONS
+            .filter(section => data[section] !== undefined)
+            .forEach(section => {
+                bundle[section] = data[section];
+            });
+    });
+
+    return bundle;
+}
+
+/**
+ * JSON that cannot close the surrounding <script> element
+ */
+function toScriptJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const manifestData = readJson('locales/manifest.json');
+    const manifest = new LocaleManifest(manifestData);
+
+    const bundles = {};
+    manifest.getCodes().forEach(code => {
+        const bundle = getCriticalBundle(manifest, code);
+        if (Object.keys(bundle).length > 0) {
+            bundles[code] = bundle;
+        }
+    });
+
+    const script = `<script type="application/json" id="${SCRIPT_ID}">${toScriptJson({ manifest: manifestData, bundles })}</script>`;
+    const html = fs.readFileSync(INDEX_FILE, 'utf8');
+
+    let output;
+    if (SCRIPT_REGEX.test(html)) {
+        output = html.replace(SCRIPT_REGEX, () => script);
+    } else {
+        const index = html.indexOf(INSERT_BEFORE);
+        if (index === -1) {
+            throw new Error(`index.html has no ${INSERT_BEFORE} script to insert the payload before`);
+        }
+        output = `${html.slice(0, index)}${script}\n    ${html.slice(index)}`;
+    }
+
+    const size = Buffer.byteLength(script);
+
+    if (args.includes('--check')) {
+        if (output !== html) {
+            console.error(`❌ index.html critical translations are out of date; run node scripts/inline-i18n.js`);
+            process.exitCode = 1;
+        } else {
+            console.log(`✅ index.html critical translations are up to date (${size} bytes)`);
+        }
+        return;
+    }
+
+    fs.writeFileSync(INDEX_FILE, output);
+    console.log(`✅ Inlined ${CRITICAL_SECTIONS.join(', ')} for ${Object.keys(bundles).join(', ')} (${size} bytes)`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Inlining critical translations failed:', error);
+    process.exitCode = 1;
+}
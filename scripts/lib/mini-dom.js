@@ -0,0 +1,585 @@
+/**
+ * Minimal DOM Stand-in for Node Build Scripts
+ * Parses an HTML document into a small node tree that supports the parts of
+ * the DOM API used by I18n and FoxTradingApp (selectors, attributes,
+ * textContent/innerHTML) and serializes it back, leaving untouched markup as
+ * it was written
+ */
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    bull: '•', middot: '·', times: '×', deg: '°', euro: '€', laquo: '«', raquo: '»'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+class Node {
+    constructor(nodeType) {
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentNode) node = node.parentNode;
+        return node.nodeType === 9;
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this._replaceChildren([new Text(String(value ?? ''))]);
+    }
+
+    get children() {
+        return this.childNodes.filter(child => child.nodeType === 1);
+    }
+
+    appendChild(node) {
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.push(node);
+        return node;
+    }
+
+    insertBefore(node, reference) {
+        if (!reference) return this.appendChild(node);
+        if (node.parentNode) node.parentNode.removeChild(node);
+        node.parentNode = this;
+        this.childNodes.splice(this.childNodes.indexOf(reference), 0, node);
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+        }
+        return node;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    querySelectorAll(selector) {
+        const selectors = parseSelector(selector);
+        const matches = [];
+
+        const walk = node => {
+            node.children.forEach(child => {
+                if (selectors.some(complex => matchesComplex(child, complex))) {
+                    matches.push(child);
+                }
+                walk(child);
+            });
+        };
+        walk(this);
+
+        return matches;
+    }
+
+    /**
+     * @private
+     */
+    _replaceChildren(nodes) {
+        this.childNodes.forEach(child => { child.parentNode = null; });
+        this.childNodes = [];
+        nodes.forEach(node => this.appendChild(node));
+    }
+}
+
+class Text extends Node {
+    constructor(data, raw = null) {
+        super(3);
+        this._data = raw === null ? data : null;
+        this.raw = raw === null ? escapeText(data) : raw;
+    }
+
+    get data() {
+        if (this._data === null) this._data = decodeEntities(this.raw);
+        return this._data;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    serialize() {
+        return this.raw;
+    }
+}
+
+/**
+ * Comments, the doctype and the contents of script/style elements, kept verbatim
+ */
+class RawNode extends Node {
+    constructor(nodeType, raw) {
+        super(nodeType);
+        this.raw = raw;
+    }
+
+    get textContent() {
+        return this.nodeType === 3 ? this.raw : '';
+    }
+
+    serialize() {
+        return this.raw;
+    }
+}
+
+class Element extends Node {
+    constructor(name) {
+        super(1);
+        this.localName = name;
+        this.tagName = name.toUpperCase();
+        this.attributes = []; // { name, value, raw }
+        this.selfClosing = false;
+        this.rawStartTag = null; // Source text of the start tag until an attribute changes
+        this.hasEndTag = true;
+    }
+
+    get nodeName() {
+        return this.tagName;
+    }
+
+    getAttribute(name) {
+        const attribute = this._findAttribute(name);
+        return attribute ? attribute.value : null;
+    }
+
+    hasAttribute(name) {
+        return Boolean(this._findAttribute(name));
+    }
+
+    setAttribute(name, value) {
+        const attribute = this._findAttribute(name);
+        if (attribute) {
+            attribute.value = String(value);
+            attribute.raw = null;
+        } else {
+            this.attributes.push({ name, value: String(value), raw: null });
+        }
+        this.rawStartTag = null;
+    }
+
+    removeAttribute(name) {
+        this.rawStartTag = null;
+        this.attributes = this.attributes.filter(attribute => attribute.name.toLowerCase() !== name.toLowerCase());
+    }
+
+    get id() { return this.getAttribute('id') || ''; }
+    set id(value) { this.setAttribute('id', value); }
+
+    get className() { return this.getAttribute('class') || ''; }
+    set className(value) { this.setAttribute('class', value); }
+
+    get lang() { return this.getAttribute('lang') || ''; }
+    set lang(value) { this.setAttribute('lang', value); }
+
+    get dir() { return this.getAttribute('dir') || ''; }
+    set dir(value) { this.setAttribute('dir', value); }
+
+    get type() { return (this.getAttribute('type') || (this.tagName === 'INPUT' ? 'text' : '')).toLowerCase(); }
+    set type(value) { this.setAttribute('type', value); }
+
+    get value() { return this.getAttribute('value') || ''; }
+    set value(value) { this.setAttribute('value', value); }
+
+    get placeholder() { return this.getAttribute('placeholder') || ''; }
+    set placeholder(value) { this.setAttribute('placeholder', value); }
+
+    get classList() {
+        const read = () => this.className.split(/\s+/).filter(Boolean);
+        const write = classes => this.setAttribute('class', classes.join(' '));
+
+        return {
+            contains: name => read().includes(name),
+            add: (...names) => write([...new Set([...read(), ...names])]),
+            remove: (...names) => write(read().filter(name => !names.includes(name))),
+            toggle: (name, force) => {
+                const add = force ?? !read().includes(name);
+                if (add) write([...new Set([...read(), name])]);
+                else write(read().filter(existing => existing !== name));
+                return add;
+            }
+        };
+    }
+
+    get innerHTML() {
+        return this.childNodes.map(child => child.serialize()).join('');
+    }
+
+    set innerHTML(html) {
+        this._replaceChildren(parseFragment(String(html)));
+    }
+
+    get outerHTML() {
+        return this.serialize();
+    }
+
+    matches(selector) {
+        return parseSelector(selector).some(complex => matchesComplex(this, complex));
+    }
+
+    closest(selector) {
+        const selectors = parseSelector(selector);
+        let node = this;
+
+        while (node && node.nodeType === 1) {
+            if (selectors.some(complex => matchesComplex(node, complex))) return node;
+            node = node.parentNode;
+        }
+
+        return null;
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+
+    serialize() {
+        const attributes = this.attributes.map(attribute => ` ${attribute.raw ?? serializeAttribute(attribute)}`).join('');
+        const selfClosing = this.selfClosing && this.childNodes.length === 0;
+        const startTag = this.rawStartTag || `<${this.localName}${attributes}${selfClosing ? ' /' : ''}>`;
+
+        if (VOID_TAGS.has(this.localName.toLowerCase()) || selfClosing) {
+            return startTag;
+        }
+
+        const endTag = this.hasEndTag || this.childNodes.length > 0 ? `</${this.localName}>` : '';
+        return `${startTag}${this.innerHTML}${endTag}`;
+    }
+
+    /**
+     * @private
+     */
+    _findAttribute(name) {
+        const lower = name.toLowerCase();
+        return this.attributes.find(attribute => attribute.name.toLowerCase() === lower);
+    }
+}
+
+class Document extends Node {
+    constructor() {
+        super(9);
+        this.readyState = 'complete';
+    }
+
+    get documentElement() {
+        return this.children.find(child => child.localName.toLowerCase() === 'html') || this.children[0] || null;
+    }
+
+    get head() {
+        return this.querySelector('head');
+    }
+
+    get body() {
+        return this.querySelector('body');
+    }
+
+    getElementById(id) {
+        return this.querySelectorAll('[id]').find(element => element.id === id) || null;
+    }
+
+    createElement(name) {
+        return new Element(name.toLowerCase());
+    }
+
+    createTextNode(data) {
+        return new Text(String(data));
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+
+    serialize() {
+        return this.childNodes.map(child => child.serialize()).join('');
+    }
+}
+
+function serializeAttribute({ name, value }) {
+    if (value === '') return name;
+
+    const quote = value.includes('"') && !value.includes("'") ? "'" : '"';
+    const escaped = value.replace(/&/g, '&amp;').replace(quote === '"' ? /"/g : /'/g, quote === '"' ? '&quot;' : '&#39;');
+
+    return `${name}=${quote}${escaped}${quote}`;
+}
+
+/**
+ * Tokenize HTML into a list of nodes appended to parent
+ * @private
+ */
+function parseInto(parent, html) {
+    const stack = [parent];
+    const current = () => stack[stack.length - 1];
+    // Like browsers, accept attributes that are not separated by whitespace (e.g. src="a.svg"")
+    const startTagRegex = /^<([a-zA-Z][\w:-]*)((?:\s*(?=([^\s\/>=]+))\3(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/;
+    const attributeRegex = /([^\s\/>=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let index = 0;
+
+    while (index < html.length) {
+        const rest = html.slice(index);
+
+        if (rest.startsWith('<!--')) {
+            const end = html.indexOf('-->', index + 4);
+            const stop = end === -1 ? html.length : end + 3;
+            current().appendChild(new RawNode(8, html.slice(index, stop)));
+            index = stop;
+            continue;
+        }
+
+        if (rest.startsWith('<!') || rest.startsWith('<?')) {
+            const end = html.indexOf('>', index);
+            const stop = end === -1 ? html.length : end + 1;
+            current().appendChild(new RawNode(10, html.slice(index, stop)));
+            index = stop;
+            continue;
+        }
+
+        const endTag = rest.match(/^<\/([a-zA-Z][\w:-]*)\s*>/);
+        if (endTag) {
+            const name = endTag[1].toLowerCase();
+            const position = stack.map(node => (node.localName || '').toLowerCase()).lastIndexOf(name);
+            // Stray end tags are dropped, unclosed children are closed with their parent
+            if (position > 0) {
+                stack.slice(position + 1).forEach(node => { node.hasEndTag = false; });
+                stack.length = position;
+            }
+            index += endTag[0].length;
+            continue;
+        }
+
+        const startTag = rest.match(startTagRegex);
+        if (startTag) {
+            const element = new Element(startTag[1]);
+            const name = startTag[1].toLowerCase();
+
+            startTag[2].replace(attributeRegex, (raw, attributeName, double, single, unquoted) => {
+                // Stray quotes parse as attribute names; they carry nothing worth keeping
+                if (/["']/.test(attributeName)) return raw;
+
+                const value = double ?? single ?? unquoted;
+                element.attributes.push({
+                    name: attributeName,
+                    value: value === undefined ? '' : decodeEntities(value),
+                    raw
+                });
+                return raw;
+            });
+
+            element.selfClosing = startTag[4] === '/';
+            element.rawStartTag = startTag[0];
+            current().appendChild(element);
+            index += startTag[0].length;
+
+            if (RAW_TEXT_TAGS.has(name) && !element.selfClosing) {
+                const closing = html.toLowerCase().indexOf(`</${name}`, index);
+                const stop = closing === -1 ? html.length : closing;
+                const content = html.slice(index, stop);
+
+                if (content) {
+                    // Script and style bodies are never entity-decoded
+                    element.appendChild(name === 'script' || name === 'style'
+                        ? new RawNode(3, content)
+                        : new Text(null, content));
+                }
+
+                element.hasEndTag = closing !== -1;
+                index = closing === -1 ? html.length : html.indexOf('>', closing) + 1;
+                continue;
+            }
+
+            if (!VOID_TAGS.has(name) && !element.selfClosing) {
+                stack.push(element);
+            }
+            continue;
+        }
+
+        // Text up to the next tag-like "<"
+        const next = html.slice(index + 1).search(/<[a-zA-Z\/!?]/);
+        const stop = next === -1 ? html.length : index + 1 + next;
+        current().appendChild(new Text(null, html.slice(index, stop)));
+        index = stop;
+    }
+}
+
+/**
+ * Parse a full HTML document
+ * @param {string} html
+ * @returns {Document}
+ */
+function parseHTML(html) {
+    const document = new Document();
+    parseInto(document, html);
+    return document;
+}
+
+/**
+ * Parse an HTML fragment into detached nodes
+ * @param {string} html
+ * @returns {Node[]}
+ */
+function parseFragment(html) {
+    const container = new Element('template');
+    parseInto(container, html);
+    return [...container.childNodes];
+}
+
+const selectorCache = new Map();
+
+/**
+ * Parse a selector list into complex selectors: arrays of
+ * { compound, combinator } from left to right. Supports tag, *, #id, .class,
+ * [attr], [attr=value] (=, ~=, ^=, $=, *=) and the descendant, > and + combinators.
+ * @private
+ */
+function parseSelector(selector) {
+    if (selectorCache.has(selector)) return selectorCache.get(selector);
+
+    const tokenRegex = /\s*([>+~])\s*|\s+|(\*|[a-zA-Z][\w-]*)|#([\w-]+)|\.([\w-]+)|\[\s*([\w:-]+)\s*(?:([~^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]|(,)/y;
+    const list = [];
+    let complex = [];
+    let compound = null;
+    let combinator = null;
+    let index = 0;
+    const source = selector.trim();
+
+    const finishCompound = () => {
+        if (compound) {
+            complex.push({ compound, combinator });
+            compound = null;
+            combinator = null;
+        }
+    };
+
+    while (index < source.length) {
+        tokenRegex.lastIndex = index;
+        const match = tokenRegex.exec(source);
+        if (!match) {
+            throw new Error(`Unsupported selector: ${selector}`);
+        }
+        index = tokenRegex.lastIndex;
+
+        const [, explicitCombinator, tag, id, className, attribute, operator, double, single, bare, comma] = match;
+
+        if (comma) {
+            finishCompound();
+            list.push(complex);
+            complex = [];
+            continue;
+        }
+
+        if (explicitCombinator || /^\s+$/.test(match[0])) {
+            if (compound) {
+                finishCompound();
+                combinator = explicitCombinator || ' ';
+            } else if (explicitCombinator) {
+                combinator = explicitCombinator;
+            }
+            continue;
+        }
+
+        compound = compound || { tag: null, ids: [], classes: [], attributes: [] };
+        if (tag) compound.tag = tag === '*' ? null : tag.toLowerCase();
+        if (id) compound.ids.push(id);
+        if (className) compound.classes.push(className);
+        if (attribute) {
+            compound.attributes.push({ name: attribute, operator: operator || null, value: double ?? single ?? bare ?? null });
+        }
+    }
+
+    finishCompound();
+    list.push(complex);
+    selectorCache.set(selector, list);
+    return list;
+}
+
+function matchesCompound(element, compound) {
+    if (compound.tag && element.localName.toLowerCase() !== compound.tag) return false;
+    if (compound.ids.some(id => element.getAttribute('id') !== id)) return false;
+
+    if (compound.classes.length) {
+        const classes = element.className.split(/\s+/);
+        if (!compound.classes.every(name => classes.includes(name))) return false;
+    }
+
+    return compound.attributes.every(({ name, operator, value }) => {
+        const actual = element.getAttribute(name);
+        if (actual === null) return false;
+
+        switch (operator) {
+            case null: return true;
+            case '=': return actual === value;
+            case '~=': return actual.split(/\s+/).includes(value);
+            case '^=': return actual.startsWith(value);
+            case '$=': return actual.endsWith(value);
+            case '*=': return actual.includes(value);
+            default: return false;
+        }
+    });
+}
+
+/**
+ * Match a complex selector right to left
+ * @private
+ */
+function matchesComplex(element, complex, position = complex.length - 1) {
+    const { compound, combinator } = complex[position];
+    if (!matchesCompound(element, compound)) return false;
+    if (position === 0) return true;
+
+    const previous = position - 1;
+
+    if (combinator === '>') {
+        const parent = element.parentNode;
+        return Boolean(parent && parent.nodeType === 1 && matchesComplex(parent, complex, previous));
+    }
+
+    if (combinator === '+' || combinator === '~') {
+        const siblings = element.parentNode ? element.parentNode.children : [];
+        const before = siblings.slice(0, siblings.indexOf(element));
+        const candidates = combinator === '+' ? before.slice(-1) : before;
+        return candidates.some(sibling => matchesComplex(sibling, complex, previous));
+    }
+
+    // Descendant combinator
+    let ancestor = element.parentNode;
+    while (ancestor && ancestor.nodeType === 1) {
+        if (matchesComplex(ancestor, complex, previous)) return true;
+        ancestor = ancestor.parentNode;
+    }
+    return false;
+}
+
+module.exports = {
+    parseHTML,
+    parseFragment,
+    Document,
+    Element,
+    Text
+};
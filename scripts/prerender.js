@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Static Pre-rendering of Localized Pages
+ * Applies locales/bindings.json and I18n to index.html for
+ * every non-default locale and writes /<locale>/index.html, so crawlers and
+ * link previews see translated content, meta tags and lang without running
+ * JavaScript. Runs offline on the repository's files.
+ *
+ * Usage: node scripts/prerender.js [locale ...]
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseHTML } = require('./lib/mini-dom');
+const LocaleManifest = require('../assets/js/modules/locale-manifest.js');
+const TranslationBinder = require('../assets/js/modules/translation-binder.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = 'https://www.ftsgp.com';
+const URL_ATTRIBUTES = ['src', 'href', 'srcset', 'poster', 'data-original-src'];
+
+/**
+ * Point the browser globals at a parsed document for the modules under render
+ */
+function installGlobals(document, url) {
+    const location = new URL(url);
+
+    global.document = document;
+    global.window = {
+        document,
+        location,
+        navigator: { language: 'en', languages: ['en'] },
+        addEventListener() {},
+        removeEventListener() {},
+        dispatchEvent() {}
+    };
+}
+
+/**
+ * Read locale bundles (and the manifest) from disk instead of fetching them
+ */
+function readBundle(url) {
+    const file = path.join(ROOT, url.replace(/^\//, ''));
+    return Promise.resolve(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Relative asset URLs would resolve under /<locale>/, so make them root-relative
+ */
+function toRootRelative(url) {
+    const trimmed = url.trim();
+    if (!trimmed || /^(#|\/|[a-z][\w+.-]*:)/i.test(trimmed)) {
+        return url;
+    }
+    return `/${trimmed.replace(/^\.\//, '')}`;
+}
+
+function rewriteAssetUrls(document) {
+    document.querySelectorAll('*').forEach(element => {
+        URL_ATTRIBUTES.forEach(attribute => {
+            const value = element.getAttribute(attribute);
+            if (!value) return;
+
+            const rewritten = attribute === 'srcset'
+                ? value.split(',').map(candidate => candidate.replace(/^(\s*)(\S+)/, (match, space, url) => space + toRootRelative(url))).join(',')
+                : toRootRelative(value);
+
+            if (rewritten !== value) {
+                element.setAttribute(attribute, rewritten);
+            }
+        });
+
+        const style = element.getAttribute('style');
+        if (style && /url\(/.test(style)) {
+            const rewritten = style.replace(/url\((['"]?)([^'")]+)\1\)/g, (match, quote, url) => `url(${quote}${toRootRelative(url)}${quote})`);
+            if (rewritten !== style) {
+                element.setAttribute('style', rewritten);
+            }
+        }
+    });
+}
+
+/**
+ * Canonical and social URLs for the localized page
+ */
+function updatePageUrls(document, lang) {
+    const pageUrl = `${SITE_URL}/${lang}`;
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical) canonical.setAttribute('href', pageUrl);
+
+    document.querySelectorAll('meta[property="og:url"], meta[property="twitter:url"]').forEach(meta => {
+        meta.setAttribute('content', pageUrl);
+    });
+}
+
+/**
+ * I18n and the app log every step; keep the build output readable
+ */
+async function quietly(task) {
+    const log = console.log;
+    console.log = () => {};
+
+    try {
+        return await task();
+    } finally {
+        console.log = log;
+    }
+}
+
+/**
+ * Render index.html in one locale
+ * @param {string} html - Source index.html
+ * @param {string} lang - Locale to render
+ * @param {LocaleManifest} manifest - Parsed locales/manifest.json
+ * @param {TranslationBinder} bindings - Parsed locales/bindings.json
+ * @returns {Promise<string>} Translated HTML
+ */
+async function renderLocale(html, lang, manifest, bindings) {
+    const document = parseHTML(html);
+    installGlobals(document, `${SITE_URL}/${lang}`);
+
+    // Required after the globals exist: app.js registers its DOMContentLoaded handler on load
+    const I18n = require('../assets/js/modules/i18n.js');
+    const FoxTradingApp = require('../assets/js/modules/app.js');
+
+    await quietly(async () => {
+        const app = new FoxTradingApp();
+        app.applyManifest(manifest);
+        app.applyBindings(bindings);
+
+        const i18n = new I18n({
+            manifest,
+            defaultLanguage: lang,
+            basePath: app.config.basePath,
+            initialNamespaces: manifest.namespaces,
+            loader: readBundle
+        });
+
+        await i18n.init();
+
+        if (i18n.getCurrentLanguage() !== lang) {
+            throw new Error(`Translations for ${lang} could not be loaded`);
+        }
+    });
+
+    updatePageUrls(document, lang);
+    rewriteAssetUrls(document);
+
+    return document.serialize();
+}
+
+async function main() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const manifest = await LocaleManifest.load('/locales/manifest.json', { loader: readBundle });
+    const bindings = await TranslationBinder.load('/locales/bindings.json', { loader: readBundle });
+    const requested = process.argv.slice(2);
+    const locales = requested.length > 0
+        ? requested
+        : manifest.getCodes().filter(lang => lang !== manifest.defaultLanguage);
+
+    for (const lang of locales) {
+        const output = await renderLocale(html, lang, manifest, bindings);
+        const outputDir = path.join(ROOT, lang);
+
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, 'index.html'), output);
+        console.log(`✅ Pre-rendered /${lang}/index.html`);
+    }
+}
+
+main().catch(error => {
+    console.error('Pre-rendering failed:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Local Server with Language Negotiation
+ * Serves the repository like the Vercel deployment: the root page goes
+ * through LanguageNegotiator (as in middleware.js), then vercel.json's
+ * rewrites and headers apply. Run scripts/prerender.js first so the
+ * /<locale>/ pages exist.
+ *
+ * Usage: node scripts/serve.js [port] [--rewrite]
+ *   --rewrite  Serve the negotiated locale at / instead of redirecting
+ *
+ * Try it:
+ *   curl -I -H 'Accept-Language: es-MX,es;q=0.9' http://localhost:3000/
+ *   curl -I -H 'X-Vercel-IP-Country: SG' -H 'Accept-Language: zh-CN' http://localhost:3000/
+ *   curl -I -H 'Cookie: foxtrading_sg_language=en-SG' -H 'Accept-Language: es' http://localhost:3000/
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const LocaleManifest = require('../assets/js/modules/locale-manifest.js');
+const LanguageDetector = require('../assets/js/modules/language-detector.js');
+const LanguageNegotiator = require('../assets/js/modules/language-negotiator.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8'
+};
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/**
+ * vercel.json source patterns: literal paths and (.*) groups
+ */
+function toPattern(source) {
+    const escaped = source.replace(/[.+?^${}[\]\\|]/g, '\\$&').replace(/\(\\\.\*\)/g, '(.*)');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * The file for a decoded URL path, or null if there is none inside the repository
+ */
+function resolveFile(pathname) {
+    const file = path.join(ROOT, pathname);
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) return null;
+
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        const index = path.join(file, 'index.html');
+        return fs.existsSync(index) ? index : null;
+    }
+
+    return fs.existsSync(file) ? file : null;
+}
+
+function createServer(negotiator, vercel) {
+    const rewrites = (vercel.rewrites || []).map(rule => ({ ...rule, pattern: toPattern(rule.source) }));
+    const headerRules = (vercel.headers || []).map(rule => ({ ...rule, pattern: toPattern(rule.source) }));
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        const decision = negotiator.handle({ url: request.url, headers: request.headers });
+        const headers = { ...decision.headers };
+
+        headerRules
+            .filter(rule => rule.pattern.test(url.pathname))
+            .forEach(rule => rule.headers.forEach(({ key, value }) => {
+                headers[key] = value;
+            }));
+
+        if (decision.action === 'redirect') {
+            response.writeHead(decision.status, { ...headers, Location: decision.location });
+            response.end();
+            log(request, decision.status, `→ ${decision.location}`);
+            return;
+        }
+
+        let pathname = decision.action === 'rewrite' ? new URL(decision.destination, url).pathname : url.pathname;
+        const rewrite = rewrites.find(rule => rule.pattern.test(pathname));
+        if (rewrite) {
+            pathname = rewrite.destination;
+        }
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            response.writeHead(400, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Bad request');
+            log(request, 400);
+            return;
+        }
+
+        const file = resolveFile(decoded);
+        if (!file) {
+            response.writeHead(404, { ...headers, 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            log(request, 404);
+            return;
+        }
+
+        response.writeHead(200, {
+            ...headers,
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream'
+        });
+        if (request.method === 'HEAD') {
+            response.end();
+        } else {
+            fs.createReadStream(file).pipe(response);
+        }
+        log(request, 200, decision.action === 'rewrite' ? `(${decision.destination})` : '');
+    });
+}
+
+function log(request, status, note = '') {
+    console.log(`${status} ${request.method} ${request.url} ${note}`.trim());
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const port = Number(args.find(arg => /^\d+$/.test(arg))) || 3000;
+
+    const manifest = new LocaleManifest(readJson('locales/manifest.json'));
+    const negotiator = new LanguageNegotiator({
+        detector: new LanguageDetector({ manifest }),
+        mode: args.includes('--rewrite') ? 'rewrite' : 'redirect'
+    });
+
+    const missing = manifest.getCodes()
+        .filter(code => code !== manifest.defaultLanguage)
+        .filter(code => !fs.existsSync(path.join(ROOT, code, 'index.html')));
+    if (missing.length > 0) {
+        console.warn(`⚠️ No pre-rendered page for ${missing.join(', ')}; run node scripts/prerender.js`);
+    }
+
+    createServer(negotiator, readJson('vercel.json')).listen(port, () => {
+        console.log(`🌐 Serving ${ROOT} on http://localhost:${port} (${negotiator.mode} mode)`);
+    });
+}
+
+main();